@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS commentary;
+DROP TABLE IF EXISTS matches;
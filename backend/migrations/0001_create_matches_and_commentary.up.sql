@@ -0,0 +1,33 @@
+-- Core tables: matches and their commentary
+-- IF NOT EXISTS lets databases that were set up by hand adopt this baseline
+
+CREATE TABLE IF NOT EXISTS matches (
+  id SERIAL PRIMARY KEY,
+  sport TEXT,
+  home_team TEXT NOT NULL,
+  away_team TEXT NOT NULL,
+  home_score INTEGER NOT NULL DEFAULT 0,
+  away_score INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'scheduled',
+  start_time TIMESTAMPTZ,
+  end_time TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS commentary (
+  id SERIAL PRIMARY KEY,
+  match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  minute INTEGER,
+  sequence INTEGER,
+  period TEXT,
+  event_type TEXT NOT NULL DEFAULT 'general',
+  actor TEXT,
+  team TEXT,
+  message TEXT NOT NULL,
+  metadata JSONB,
+  tags TEXT[],
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_commentary_match_id ON commentary (match_id);
+CREATE INDEX IF NOT EXISTS idx_commentary_created_at ON commentary (created_at DESC);
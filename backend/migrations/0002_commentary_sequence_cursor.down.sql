@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_commentary_match_sequence;
+ALTER TABLE commentary ALTER COLUMN sequence DROP NOT NULL;
+ALTER TABLE matches DROP COLUMN IF EXISTS last_commentary_sequence;
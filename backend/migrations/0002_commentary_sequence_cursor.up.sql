@@ -0,0 +1,22 @@
+-- Per-match commentary sequence used as the WebSocket resume cursor
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS last_commentary_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Number existing rows in insertion order
+UPDATE commentary c
+SET sequence = s.seq
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY match_id ORDER BY created_at, id) AS seq
+  FROM commentary
+) s
+WHERE c.id = s.id;
+
+UPDATE matches m
+SET last_commentary_sequence = COALESCE(
+  (SELECT MAX(sequence) FROM commentary WHERE match_id = m.id), 0);
+
+ALTER TABLE commentary ALTER COLUMN sequence SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commentary_match_sequence
+  ON commentary (match_id, sequence);
@@ -0,0 +1,8 @@
+-- Restrict matches.status to the lifecycle in src/models/matchLifecycle.js
+
+-- Older rows may use "finished" for completed matches
+UPDATE matches SET status = 'completed' WHERE status = 'finished';
+
+ALTER TABLE matches
+  ADD CONSTRAINT matches_status_check
+  CHECK (status IN ('scheduled', 'postponed', 'live', 'suspended', 'completed', 'cancelled'));
@@ -0,0 +1,6 @@
+DELETE FROM commentary
+WHERE event_type = 'score_correction'
+  AND message = 'Score carried over from before score tracking';
+
+ALTER TABLE matches DROP COLUMN IF EXISTS score_sequence;
+ALTER TABLE matches DROP COLUMN IF EXISTS score;
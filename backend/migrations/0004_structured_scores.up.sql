@@ -0,0 +1,45 @@
+-- Structured, sport-specific scores derived from commentary (see src/scoring)
+--   score          : score in the sport's shape; home_score/away_score keep the totals
+--   score_sequence : sequence of the last commentary entry folded into score
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS score JSONB;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS score_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Scores entered before this migration have no commentary behind them.
+-- Record them as score corrections so rebuilding from commentary keeps them.
+-- (Cricket cannot be rebuilt from two totals and starts from an empty scorecard.)
+WITH legacy AS (
+  UPDATE matches
+  SET last_commentary_sequence = last_commentary_sequence + 1
+  WHERE (home_score > 0 OR away_score > 0)
+    AND COALESCE(LOWER(sport), '') <> 'cricket'
+  RETURNING id, sport, home_score, away_score, last_commentary_sequence
+)
+INSERT INTO commentary (match_id, sequence, event_type, message, metadata)
+SELECT
+  id,
+  last_commentary_sequence,
+  'score_correction',
+  'Score carried over from before score tracking',
+  jsonb_build_object(
+    'score',
+    CASE
+      WHEN LOWER(sport) = 'football' THEN jsonb_build_object(
+        'home', jsonb_build_object('goals', home_score),
+        'away', jsonb_build_object('goals', away_score))
+      ELSE jsonb_build_object('home', home_score, 'away', away_score)
+    END)
+FROM legacy;
+
+UPDATE matches
+SET
+  score = CASE
+    WHEN LOWER(sport) = 'cricket' THEN '{"innings": []}'::jsonb
+    WHEN LOWER(sport) = 'football' THEN jsonb_build_object(
+      'home', jsonb_build_object('goals', home_score),
+      'away', jsonb_build_object('goals', away_score))
+    ELSE jsonb_build_object('home', home_score, 'away', away_score)
+  END,
+  home_score = CASE WHEN LOWER(sport) = 'cricket' THEN 0 ELSE home_score END,
+  away_score = CASE WHEN LOWER(sport) = 'cricket' THEN 0 ELSE away_score END,
+  score_sequence = last_commentary_sequence;
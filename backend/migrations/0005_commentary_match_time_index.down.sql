@@ -0,0 +1 @@
+DROP INDEX IF EXISTS idx_commentary_match_minute_sequence;
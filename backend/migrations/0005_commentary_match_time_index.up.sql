@@ -0,0 +1,3 @@
+-- Serves commentary reads ordered by match time: (minute, sequence) per match
+CREATE INDEX IF NOT EXISTS idx_commentary_match_minute_sequence
+  ON commentary (match_id, minute, sequence);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_commentary_tags;
+DROP INDEX IF EXISTS idx_commentary_search_vector;
+ALTER TABLE commentary DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,11 @@
+-- Full-text search over commentary messages and filtering by tags
+
+ALTER TABLE commentary
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', COALESCE(message, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_commentary_search_vector
+  ON commentary USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_commentary_tags
+  ON commentary USING GIN (tags);
@@ -0,0 +1,10 @@
+-- Overflow storage for match events too large for a NOTIFY payload (8000 bytes).
+-- The NOTIFY carries only the row id; rows are pruned shortly after.
+CREATE TABLE IF NOT EXISTS match_event_payloads (
+  id BIGSERIAL PRIMARY KEY,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_event_payloads_created_at
+  ON match_event_payloads (created_at);
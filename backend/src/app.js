@@ -1,12 +1,33 @@
 import express from "express";
 import cors from "cors";
 import matchRoutes from "./routes/matchRoutes.js";
+import metricsRoutes from "./routes/metricsRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import { apiRateLimit } from "./middleware/rateLimit.js";
+import { securityHeaders } from "./middleware/securityHeaders.js";
+import { requestLogger } from "./middleware/requestLogger.js";
+import { httpMetrics } from "./middleware/httpMetrics.js";
 
 const app = express();
+
+// Escape <, > and & in JSON responses, like WebSocket and SSE messages
+// (see websocket/wsEncoding.js encodeJson)
+app.set("json escape", true);
+
+app.use(requestLogger);
+app.use(httpMetrics);
+app.use(securityHeaders);
 app.use(cors());
+
+// Probes are not rate limited: an instance must not fail them because its
+// probe source shares an IP budget
+app.use("/", healthRoutes);
+
+app.use(apiRateLimit);
 app.use(express.json());
 
+app.use("/", metricsRoutes);
 app.use("/", matchRoutes);
 
 app.use(notFoundHandler);
@@ -0,0 +1,30 @@
+// src/auth/cli.js
+// Command line helper to issue signed tokens with the local JWT_SECRET
+//
+// Usage:
+//   node src/auth/cli.js <userId> <viewer|commentator|admin> [ttlSeconds]
+
+import { signToken } from "./token.js";
+import { isValidRole } from "./roles.js";
+
+const USAGE =
+  "Usage: node src/auth/cli.js <userId> <viewer|commentator|admin> [ttlSeconds]";
+
+const [userId, role, ttl] = process.argv.slice(2);
+const ttlSeconds = ttl === undefined ? undefined : Number(ttl);
+
+if (
+  !userId ||
+  !isValidRole(role) ||
+  (ttlSeconds !== undefined && (!Number.isInteger(ttlSeconds) || ttlSeconds < 1))
+) {
+  console.error(USAGE);
+  process.exitCode = 1;
+} else {
+  try {
+    console.log(signToken({ sub: userId, role }, ttlSeconds));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
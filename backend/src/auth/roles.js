@@ -0,0 +1,34 @@
+// src/auth/roles.js
+// User roles and what each one is allowed to do
+
+/**
+ * Roles, lowest to highest
+ *   viewer      - read matches and commentary, subscribe over WebSocket
+ *   commentator - also post commentary, change scores and match status
+ *   admin       - also create and delete matches
+ */
+const ROLES = Object.freeze({
+  VIEWER: "viewer",
+  COMMENTATOR: "commentator",
+  ADMIN: "admin",
+});
+
+const ROLE_ORDER = [ROLES.VIEWER, ROLES.COMMENTATOR, ROLES.ADMIN];
+
+/**
+ * Check whether a role is known
+ * @param {string} role - Role to check
+ * @returns {boolean} - True if valid
+ */
+const isValidRole = (role) => ROLE_ORDER.includes(role);
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string} role - Role the user has
+ * @param {string} required - Minimum role needed
+ * @returns {boolean} - True if allowed
+ */
+const hasRole = (role, required) =>
+  isValidRole(role) && ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(required);
+
+export { ROLES, isValidRole, hasRole };
@@ -0,0 +1,157 @@
+// src/auth/token.js
+// HMAC-signed JSON Web Tokens (HS256) using the local JWT_SECRET
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { isValidRole } from "./roles.js";
+
+dotenv.config({ quiet: true });
+
+// Default lifetime for issued tokens (12 hours)
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+/**
+ * Error thrown for missing, malformed, expired or forged tokens
+ * Carries statusCode 401 so errorHandler responds with Unauthorized
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message - Why the token was rejected
+   */
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Error thrown when tokens cannot be signed or checked because JWT_SECRET
+ * is not set
+ * A server fault, not a client one: carries statusCode 500
+ */
+class AuthConfigError extends Error {
+  constructor() {
+    super("Authentication is not configured (JWT_SECRET is not set)");
+    this.name = "AuthConfigError";
+    this.statusCode = 500;
+    this.code = "auth_not_configured";
+  }
+}
+
+/**
+ * Get the signing secret
+ * @returns {string} - Secret
+ * @throws {AuthConfigError} - If JWT_SECRET is not set
+ */
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AuthConfigError();
+  }
+  return secret;
+};
+
+/**
+ * Check that tokens can be signed and verified
+ * Called at startup so a missing secret stops the server instead of
+ * failing every authenticated request
+ * @throws {AuthConfigError} - If JWT_SECRET is not set
+ */
+const assertAuthConfigured = () => {
+  getSecret();
+};
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+/**
+ * Issue a signed token
+ * @param {Object} claims - Token claims
+ * @param {string} claims.sub - User ID
+ * @param {string} claims.role - viewer | commentator | admin
+ * @param {number} [ttlSeconds] - Lifetime in seconds
+ * @returns {string} - Signed JWT
+ */
+const signToken = ({ sub, role }, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) => {
+  if (!sub || !isValidRole(role)) {
+    throw new Error("A token needs a subject and a valid role");
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: String(sub), role, iat: now, exp: now + ttlSeconds };
+  const unsigned = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify(payload))}`;
+  return `${unsigned}.${sign(unsigned, getSecret())}`;
+};
+
+/**
+ * Verify a token and return its claims
+ * @param {string} token - JWT
+ * @returns {Object} - { sub, role, iat, exp }
+ * @throws {AuthError} - If the token is not valid
+ */
+const verifyToken = (token) => {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new AuthError("Malformed token");
+  }
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, getSecret()));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new AuthError("Invalid token signature");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch (error) {
+    throw new AuthError("Malformed token");
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw new AuthError("Unsupported token algorithm");
+  }
+  if (!Number.isInteger(payload.exp) || payload.exp <= Date.now() / 1000) {
+    throw new AuthError("Token has expired");
+  }
+  if (!payload.sub || !isValidRole(payload.role)) {
+    throw new AuthError("Token is missing a subject or valid role");
+  }
+
+  return payload;
+};
+
+/**
+ * Pull a token from an HTTP request
+ * Looks at the Authorization: Bearer header, then the `token` query
+ * parameter (browsers cannot set headers on WebSocket upgrades)
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string|null} - Token, or null if none was sent
+ */
+const extractToken = (req) => {
+  const header = req.headers.authorization;
+  if (header?.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  const url = new URL(req.url, "http://localhost");
+  return url.searchParams.get("token");
+};
+
+export {
+  signToken,
+  verifyToken,
+  extractToken,
+  assertAuthConfigured,
+  AuthError,
+  AuthConfigError,
+};
@@ -1,115 +1,775 @@
 // src/config/database.js
 // PostgreSQL database configuration and connection pool setup
 
+import { EventEmitter } from "events";
 import { Pool } from "pg";
 import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import {
+  createCounter,
+  createGauge,
+  createHistogram,
+} from "../metrics/metrics.js";
+import {
+  CIRCUIT_STATES,
+  createCircuitBreaker,
+} from "../utils/circuitBreaker.js";
 
 dotenv.config();
 
+const log = logger.child({ module: "db" });
+
 /**
- * PostgreSQL Connection Pool
- * Using a connection pool allows multiple database queries to be executed concurrently
- * without opening a new connection for each query
+ * Query logging (overridable from the environment)
+ * Every query is logged at debug level; otherwise a sample is logged at
+ * info, and queries slower than slowQueryMs are always logged as warnings.
  */
-const pool = new Pool({
+const QUERY_LOGGING = {
+  // Fraction of queries logged at info level (0 to 1)
+  sampleRate: parseFloat(process.env.DB_QUERY_LOG_SAMPLE_RATE ?? "0.01") || 0,
+  // Duration from which a query is flagged as slow
+  slowQueryMs: parseInt(process.env.DB_SLOW_QUERY_MS) || 500,
+  // Longest SQL text written to a log line
+  maxSqlLength: 500,
+};
+
+/**
+ * Timeouts, retries and circuit breaker (overridable from the environment)
+ */
+const RESILIENCE = {
+  // Longest a statement may run before Postgres cancels it; query() can
+  // override it per query
+  statementTimeoutMs: parseInt(process.env.DB_STATEMENT_TIMEOUT) || 5000,
+  // Extra wait before giving up on a connection that stopped answering
+  // (statement_timeout cannot end a query cut off by the network)
+  readTimeoutGraceMs: 2000,
+  // Attempts after the first one, for transient errors only
+  maxRetries: Number.isInteger(parseInt(process.env.DB_QUERY_RETRIES))
+    ? parseInt(process.env.DB_QUERY_RETRIES)
+    : 2,
+  // Backoff before retry n: random, up to min(base * 2^n, max)
+  retryBaseDelayMs: 100,
+  retryMaxDelayMs: 1000,
+  // Consecutive connection failures that open the circuit breaker
+  breakerFailureThreshold: parseInt(process.env.DB_BREAKER_THRESHOLD) || 5,
+  // How long the breaker stays open before a trial query is let through
+  breakerCooldownMs: parseInt(process.env.DB_BREAKER_COOLDOWN) || 10000,
+};
+
+/**
+ * Error codes meaning the database could not be reached or went away:
+ * network errors, Postgres shutting down or starting up (57P01-57P03) and
+ * too many connections (53300). SQLSTATE class 08 is matched as a prefix.
+ */
+const CONNECTION_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+  "57P01",
+  "57P02",
+  "57P03",
+  "53300",
+]);
+
+/**
+ * Error codes of statements Postgres rolled back and that can simply run
+ * again: serialization failure and deadlock
+ */
+const ROLLED_BACK_CODES = new Set(["40001", "40P01"]);
+
+/**
+ * Check whether an error means the connection failed or was lost
+ * Includes errors raised by the pg client itself, which have no code
+ * @param {Error} error - Query or connect error
+ * @returns {boolean}
+ */
+const isConnectionError = (error) =>
+  CONNECTION_ERROR_CODES.has(error.code) ||
+  (typeof error.code === "string" && error.code.startsWith("08")) ||
+  /^(Connection terminated|Query read timeout)/.test(error.message);
+
+/**
+ * Thrown without querying while the circuit breaker is open
+ */
+class DatabaseUnavailableError extends Error {
+  /**
+   * @param {number} retryAfterMs - Time until the database is tried again
+   */
+  constructor(retryAfterMs) {
+    super("Database temporarily unavailable, please retry shortly");
+    this.name = "DatabaseUnavailableError";
+    this.statusCode = 503;
+    this.code = "database_unavailable";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Prepare SQL text for a log line
+ * Parameters are never logged. String literals in the text are replaced
+ * with '?' as they may hold data, whitespace is collapsed and long
+ * statements are cut short.
+ * @param {string} text - SQL text
+ * @returns {string} - Redacted SQL
+ */
+const redactSql = (text) => {
+  const sql = String(text)
+    .replace(/'(?:[^']|'')*'/g, "'?'")
+    .replace(/\s+/g, " ")
+    .trim();
+  return sql.length > QUERY_LOGGING.maxSqlLength
+    ? `${sql.slice(0, QUERY_LOGGING.maxSqlLength)}...`
+    : sql;
+};
+
+/**
+ * Connection settings shared by the pool and dedicated clients
+ * (e.g. the LISTEN connection in events/pgEventRelay.js)
+ */
+const connectionConfig = {
   host: process.env.DB_HOST,
   port: process.env.DB_PORT ? Number(process.env.DB_PORT) : undefined,
   database: process.env.DB_NAME,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
+};
+
+/**
+ * PostgreSQL Connection Pool
+ * Using a connection pool allows multiple database queries to be executed concurrently
+ * without opening a new connection for each query
+ */
+const pool = new Pool({
+  ...connectionConfig,
   // Maximum number of clients in the pool
   max: 20,
   // How long a client is allowed to remain idle before being closed
   idleTimeoutMillis: 30000,
   // How long to wait for a connection to become available
   connectionTimeoutMillis: 2000,
+  // Applied to every statement unless query() overrides it
+  statement_timeout: RESILIENCE.statementTimeoutMs,
+  // Notice dead connections even when no query is running on them
+  keepAlive: true,
+});
+
+/**
+ * Database status changes, for anything that reports them (health checks,
+ * WebSocket clients)
+ * Emits "status" with { status: "ok" | "degraded", retryAfterMs }
+ */
+const statusEvents = new EventEmitter();
+
+/**
+ * Circuit breaker in front of every query
+ * Opens after breakerFailureThreshold consecutive connection failures;
+ * queries then fail fast with DatabaseUnavailableError until a trial
+ * query succeeds
+ */
+const breaker = createCircuitBreaker({
+  failureThreshold: RESILIENCE.breakerFailureThreshold,
+  cooldownMs: RESILIENCE.breakerCooldownMs,
+  onStateChange: (state, previousState) => {
+    if (state === CIRCUIT_STATES.OPEN) {
+      log.warn("Database circuit breaker opened", {
+        previousState,
+        cooldownMs: RESILIENCE.breakerCooldownMs,
+      });
+    } else {
+      log.info("Database circuit breaker state changed", {
+        state,
+        previousState,
+      });
+    }
+
+    // Half-open is still degraded: only one trial query is let through
+    if (state === CIRCUIT_STATES.CLOSED) {
+      statusEvents.emit("status", { status: "ok" });
+    } else if (previousState === CIRCUIT_STATES.CLOSED) {
+      statusEvents.emit("status", {
+        status: "degraded",
+        retryAfterMs: breaker.retryAfterMs(),
+      });
+    }
+  },
+});
+
+/**
+ * Get the database status
+ * @returns {Object} - { status: "ok" | "degraded", circuit, retryAfterMs }
+ */
+const getDatabaseStatus = () => ({
+  status: breaker.getState() === CIRCUIT_STATES.CLOSED ? "ok" : "degraded",
+  circuit: breaker.getState(),
+  retryAfterMs: breaker.retryAfterMs(),
+});
+
+/**
+ * Listen for database status changes
+ * @param {Function} listener - ({ status, retryAfterMs }) => void
+ * @returns {Function} - Call to stop listening
+ */
+const onDatabaseStatusChange = (listener) => {
+  statusEvents.on("status", listener);
+  return () => statusEvents.off("status", listener);
+};
+
+/**
+ * Query durations, by outcome (success | error)
+ */
+const queryDuration = createHistogram({
+  name: "sportz_db_query_duration_seconds",
+  help: "Duration of queries run through query(), by outcome",
+  labelNames: ["outcome"],
+});
+
+/**
+ * Query attempts after the first, by reason (connection | rolled_back)
+ */
+const queryRetries = createCounter({
+  name: "sportz_db_query_retries_total",
+  help: "Query attempts retried after a transient error, by reason",
+  labelNames: ["reason"],
+});
+
+/**
+ * Transactions run again after a transient error, by reason
+ */
+const transactionRetries = createCounter({
+  name: "sportz_db_transaction_retries_total",
+  help: "Transactions run again after a transient error, by reason",
+  labelNames: ["reason"],
+});
+
+createGauge({
+  name: "sportz_db_circuit_state",
+  help: "Database circuit breaker state (1 for the current state)",
+  labelNames: ["state"],
+  collect: () =>
+    Object.values(CIRCUIT_STATES).map((state) => ({
+      labels: { state },
+      value: breaker.getState() === state ? 1 : 0,
+    })),
+});
+
+// Saturation: waiting > 0 means every connection is busy (total = max)
+createGauge({
+  name: "sportz_db_pool_connections",
+  help: "Database pool connections (total, idle) and queued requests (waiting)",
+  labelNames: ["state"],
+  collect: () => [
+    { labels: { state: "total" }, value: pool.totalCount },
+    { labels: { state: "idle" }, value: pool.idleCount },
+    { labels: { state: "waiting" }, value: pool.waitingCount },
+  ],
+});
+
+createGauge({
+  name: "sportz_db_pool_max_connections",
+  help: "Maximum size of the database pool",
+  collect: () => pool.options.max,
 });
 
 /**
  * Test database connection on startup
  */
 pool.on("connect", () => {
-  console.log("Connected to PostgreSQL database");
+  log.debug("Opened database connection");
 });
 
 /**
- * Handle connection errors
+ * Handle errors on idle connections (e.g. the server restarted or the
+ * network dropped them)
+ * The pool has already discarded the connection and opens a new one when
+ * it is needed, so the process keeps running; queries failing meanwhile
+ * are retried or trip the circuit breaker.
  */
 pool.on("error", (err) => {
-  console.error("Unexpected error on idle client", err);
-  process.exit(-1);
+  log.warn("Idle database connection failed; the pool will replace it", {
+    err,
+  });
 });
 
+/**
+ * Run a query on a checked-out client
+ * @param {pg.PoolClient} client - Pool client
+ * @param {string} text - SQL query string
+ * @param {Array} params - Query parameters
+ * @param {number} timeoutMs - Statement timeout
+ * @returns {Promise} - Query result
+ */
+const runOnClient = async (client, text, params, timeoutMs) => {
+  const overridden = timeoutMs !== RESILIENCE.statementTimeoutMs;
+  if (overridden) {
+    await client.query(`SET statement_timeout = ${timeoutMs}`);
+  }
+  const result = await client.query({
+    text,
+    values: params,
+    query_timeout: timeoutMs + RESILIENCE.readTimeoutGraceMs,
+  });
+  if (overridden) {
+    await client.query("RESET statement_timeout");
+  }
+  return result;
+};
+
+/**
+ * Check a connection out of the pool, through the circuit breaker
+ * Every connection checked out must be returned with checkin()
+ * @returns {Promise<pg.PoolClient>} - Pool client
+ * @throws {DatabaseUnavailableError} - While the breaker is open
+ */
+const checkout = async () => {
+  if (!breaker.tryAcquire()) {
+    throw new DatabaseUnavailableError(breaker.retryAfterMs());
+  }
+  try {
+    return await pool.connect();
+  } catch (error) {
+    // A full pool says nothing about the database itself
+    if (isConnectionError(error)) {
+      breaker.recordFailure();
+    } else {
+      breaker.release();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Return a connection to the pool and report how its work went to the
+ * circuit breaker
+ * A connection that failed is closed instead of going back to the pool
+ * @param {pg.PoolClient} client - Pool client from checkout()
+ * @param {Error} [error] - Error its work ended with
+ * @param {boolean} [discard=false] - Close it anyway (e.g. its session
+ *   settings were changed)
+ */
+const checkin = (client, error, discard = false) => {
+  const lost = error !== undefined && isConnectionError(error);
+  client.release(lost || discard);
+  if (lost) {
+    breaker.recordFailure();
+  } else {
+    breaker.recordSuccess();
+  }
+};
+
+/**
+ * Make one attempt at a query
+ * A connection that may still carry an overridden statement_timeout is
+ * closed instead of going back to the pool
+ * @param {string} text - SQL query string
+ * @param {Array} params - Query parameters
+ * @param {number} timeoutMs - Statement timeout
+ * @returns {Promise<Object>} - { result }, or { error, sent } where sent is
+ *   false if the query never reached the database
+ */
+const attempt = async (text, params, timeoutMs) => {
+  let client;
+  try {
+    client = await checkout();
+  } catch (error) {
+    return { error, sent: false };
+  }
+
+  try {
+    const result = await runOnClient(client, text, params, timeoutMs);
+    checkin(client);
+    return { result };
+  } catch (error) {
+    checkin(client, error, timeoutMs !== RESILIENCE.statementTimeoutMs);
+    return { error, sent: true };
+  }
+};
+
+/**
+ * Log a query that succeeded, as described at QUERY_LOGGING
+ * @param {string} text - SQL query string
+ * @param {number} durationMs - How long it took
+ * @param {Object} res - Query result
+ */
+const logQuery = (text, durationMs, res) => {
+  if (durationMs >= QUERY_LOGGING.slowQueryMs) {
+    log.warn("Slow query", {
+      sql: redactSql(text),
+      durationMs,
+      rows: res.rowCount,
+      slow: true,
+    });
+  } else if (log.isLevelEnabled("debug")) {
+    log.debug("Executed query", {
+      sql: redactSql(text),
+      durationMs,
+      rows: res.rowCount,
+    });
+  } else if (Math.random() < QUERY_LOGGING.sampleRate) {
+    log.info("Executed query", {
+      sql: redactSql(text),
+      durationMs,
+      rows: res.rowCount,
+      sampled: true,
+    });
+  }
+};
+
+/**
+ * Decide whether a failed attempt may run again
+ * Rolled-back statements always can. After a connection failure a query
+ * can if it never reached the database, or if running it twice is
+ * harmless (`retry`).
+ * @param {Error} error - Attempt error
+ * @param {boolean} sent - Whether the query reached the database
+ * @param {boolean} retry - Whether the query is safe to repeat
+ * @returns {string|null} - Retry reason, or null
+ */
+const retryReason = (error, sent, retry) => {
+  if (ROLLED_BACK_CODES.has(error.code)) {
+    return "rolled_back";
+  }
+  if (isConnectionError(error) && (!sent || retry)) {
+    return "connection";
+  }
+  return null;
+};
+
+/**
+ * Wait before a retry
+ * @param {number} retryNumber - 0 for the first retry
+ * @returns {Promise<number>} - Resolves with the delay once it has passed
+ */
+const backoff = (retryNumber) => {
+  const delayMs = Math.round(
+    Math.random() *
+      Math.min(
+        RESILIENCE.retryBaseDelayMs * 2 ** retryNumber,
+        RESILIENCE.retryMaxDelayMs,
+      ),
+  );
+  return new Promise((resolve) => setTimeout(() => resolve(delayMs), delayMs));
+};
+
 /**
  * Execute a query with parameters
+ * Every statement has a timeout (RESILIENCE.statementTimeoutMs unless
+ * overridden). Transient failures are retried with backoff, up to
+ * RESILIENCE.maxRetries times: always when the statement was rolled back
+ * or never reached the database, and after a lost connection only for
+ * queries safe to repeat. Plain SELECTs are assumed safe; other statements
+ * must say so with `retry: true`, and SELECTs with side effects (e.g.
+ * pg_notify) must pass `retry: false`.
+ * While the circuit breaker is open, queries fail at once with
+ * DatabaseUnavailableError (503).
+ * Logged as described at QUERY_LOGGING, with the correlation id of the
+ * request or connection it runs for, and timed in
+ * sportz_db_query_duration_seconds
  * @param {string} text - SQL query string
  * @param {Array} params - Query parameters
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.retry] - Whether the query is safe to repeat
+ *   after a lost connection (default: true for SELECT statements)
+ * @param {number} [options.timeoutMs] - Statement timeout for this query
  * @returns {Promise} - Query result
  */
-const query = async (text, params) => {
+const query = async (text, params, options = {}) => {
+  const {
+    retry = /^\s*SELECT\b/i.test(text),
+    timeoutMs = RESILIENCE.statementTimeoutMs,
+  } = options;
   const start = Date.now();
+  const endTimer = queryDuration.startTimer();
   try {
-    const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log("Executed query", { text, duration, rows: res.rowCount });
-    return res;
+    let outcome = await attempt(text, params, timeoutMs);
+    for (
+      let retryNumber = 0;
+      outcome.error && retryNumber < RESILIENCE.maxRetries;
+      retryNumber++
+    ) {
+      const reason = retryReason(outcome.error, outcome.sent, retry);
+      if (!reason) {
+        break;
+      }
+      // Opened by this query or a concurrent one: fail fast like the
+      // queries after it
+      if (breaker.getState() === CIRCUIT_STATES.OPEN) {
+        outcome = {
+          error: new DatabaseUnavailableError(breaker.retryAfterMs()),
+        };
+        break;
+      }
+      queryRetries.inc({ reason });
+      const delayMs = await backoff(retryNumber);
+      log.warn("Retrying query", {
+        sql: redactSql(text),
+        reason,
+        retry: retryNumber + 1,
+        delayMs,
+        error: outcome.error.message,
+      });
+      outcome = await attempt(text, params, timeoutMs);
+    }
+    if (outcome.error) {
+      throw outcome.error;
+    }
+
+    endTimer({ outcome: "success" });
+    logQuery(text, Date.now() - start, outcome.result);
+    return outcome.result;
   } catch (error) {
-    console.error("Database query error:", error);
+    endTimer({ outcome: "error" });
+    // Fast failures while the breaker is open are reported by the breaker
+    if (!(error instanceof DatabaseUnavailableError)) {
+      log.error("Database query error", {
+        sql: redactSql(text),
+        durationMs: Date.now() - start,
+        err: error,
+      });
+    }
     throw error;
   }
 };
 
 /**
- * basically wrapper hai ye pool.query ke upr we are overriding the query method
- * So instead of:
-pool.query("SELECT * FROM users");
-You do:
-query("SELECT * FROM users WHERE id = $1", [id]);
-Much cleaner debugging in production logs.
+ * Check the database answers within a time limit
+ * Not logged, timed or retried like application queries, but it goes
+ * through the circuit breaker: it fails fast while the breaker is open and
+ * can be the trial query that closes it. The limit covers waiting for a
+ * free connection as well as the query itself.
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<void>} - Rejects if the database fails or is too slow
+ */
+const pingDatabase = async (timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(
+      () => resolve({ error: new Error(`No answer within ${timeoutMs}ms`) }),
+      timeoutMs,
+    );
+  });
+  try {
+    const { error } = await Promise.race([
+      attempt("SELECT 1", [], RESILIENCE.statementTimeoutMs),
+      timeout,
+    ]);
+    if (error) {
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+};
 
+/**
+ * Isolation levels accepted by withTransaction
+ */
+const ISOLATION_LEVELS = new Set([
+  "read committed",
+  "repeatable read",
+  "serializable",
+]);
 
+// A transaction holding its connection longer than this is logged
+const TRANSACTION_WARN_MS = 5000;
 
- * Get a client from the pool for transaction support
- * Remember to release the client after use
+/**
+ * Create the handle a transaction callback works with
+ * @param {pg.PoolClient} client - Connection the transaction runs on
+ * @param {number} timeoutMs - Statement timeout in effect
+ * @returns {Object} - { query(text, params), savepoint(fn) }
  */
-const getClient = async () => {
-  const client = await pool.connect();
-  const query = client.query.bind(client);
-  const release = client.release.bind(client);
-  // Set a timeout of 5 seconds, after which we'll log this client's last query
-  const timeout = setTimeout(() => {
-    console.error("A client has been checked out ");
-  }, 5000);
-
-  // Monkey patch the query method to clear timeout on query
-  client.query = (...args) => {
-    clearTimeout(timeout);
-    return query(...args);
+const createTransaction = (client, timeoutMs) => {
+  let savepointCounter = 0;
+
+  const tx = {
+    /**
+     * Run a query inside the transaction
+     * Logged and timed like query(), but never retried on its own
+     * @param {string} text - SQL query string
+     * @param {Array} [params] - Query parameters
+     * @returns {Promise} - Query result
+     */
+    query: async (text, params) => {
+      const start = Date.now();
+      const endTimer = queryDuration.startTimer();
+      try {
+        const res = await client.query({
+          text,
+          values: params,
+          query_timeout: timeoutMs + RESILIENCE.readTimeoutGraceMs,
+        });
+        endTimer({ outcome: "success" });
+        logQuery(text, Date.now() - start, res);
+        return res;
+      } catch (error) {
+        endTimer({ outcome: "error" });
+        // The whole transaction is retried after these
+        if (!ROLLED_BACK_CODES.has(error.code)) {
+          log.error("Database query error", {
+            sql: redactSql(text),
+            durationMs: Date.now() - start,
+            err: error,
+          });
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Run part of the transaction in a savepoint
+     * If fn throws, only its own work is rolled back and the error is
+     * rethrown; the transaction can carry on if the caller catches it.
+     * Savepoints can be nested.
+     * @param {Function} fn - async (tx) => result
+     * @returns {Promise<*>} - What fn returns
+     */
+    savepoint: async (fn) => {
+      const name = `sp_${++savepointCounter}`;
+      await client.query(`SAVEPOINT ${name}`);
+      try {
+        const result = await fn(tx);
+        await client.query(`RELEASE SAVEPOINT ${name}`);
+        return result;
+      } catch (error) {
+        await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+        throw error;
+      }
+    },
   };
 
-  // Monkey patch the release method to clear timeout
-  client.release = () => {
-    clearTimeout(timeout);
-    return release();
-  };
+  return tx;
+};
+
+/**
+ * Run one attempt at a transaction
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} options - { isolationLevel, timeoutMs }
+ * @returns {Promise<Object>} - { result }, or { error, sent } where sent is
+ *   false if no connection could be checked out
+ */
+const runTransaction = async (fn, { isolationLevel, timeoutMs }) => {
+  let client;
+  try {
+    client = await checkout();
+  } catch (error) {
+    return { error, sent: false };
+  }
 
-  return client;
+  const warnTimer = setTimeout(() => {
+    log.warn("A transaction has held its connection for more than 5s");
+  }, TRANSACTION_WARN_MS);
+
+  try {
+    await client.query(
+      isolationLevel
+        ? `BEGIN ISOLATION LEVEL ${isolationLevel.toUpperCase()}`
+        : "BEGIN",
+    );
+    // SET LOCAL ends with the transaction, so the connection can be reused
+    if (timeoutMs !== RESILIENCE.statementTimeoutMs) {
+      await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+    }
+    const result = await fn(createTransaction(client, timeoutMs));
+    await client.query("COMMIT");
+    checkin(client);
+    return { result };
+  } catch (error) {
+    // A connection that cannot roll back must not be reused mid-transaction
+    let rolledBack = true;
+    await client.query("ROLLBACK").catch(() => {
+      rolledBack = false;
+    });
+    checkin(client, error, !rolledBack);
+    return { error, sent: true };
+  } finally {
+    clearTimeout(warnTimer);
+  }
 };
 
-export { query, getClient, pool };
+/**
+ * Run a function inside a transaction on one pooled connection
+ *
+ *   const commentary = await withTransaction(async (tx) => {
+ *     await tx.query("SELECT ... FOR UPDATE", [id]);
+ *     return (await tx.query("INSERT ... RETURNING *", [...])).rows[0];
+ *   });
+ *
+ * Commits when fn resolves and rolls back when it throws (the error is
+ * rethrown). Use tx.query for every query that belongs to the
+ * transaction; query() runs on another connection. tx.savepoint(fn) rolls
+ * back just part of it.
+ * Serialization failures and deadlocks roll the transaction back, and it
+ * is run again from the start, with backoff, up to RESILIENCE.maxRetries
+ * times. fn may therefore run more than once: keep side effects such as
+ * emitting events until withTransaction has returned.
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} [options] - Transaction options
+ * @param {string} [options.isolationLevel] - "read committed" (Postgres
+ *   default), "repeatable read" or "serializable"
+ * @param {number} [options.timeoutMs] - Statement timeout for each
+ *   statement in the transaction
+ * @returns {Promise<*>} - What fn returns
+ * @throws {DatabaseUnavailableError} - While the circuit breaker is open
+ */
+const withTransaction = async (fn, options = {}) => {
+  const { isolationLevel, timeoutMs = RESILIENCE.statementTimeoutMs } =
+    options;
+  if (isolationLevel !== undefined && !ISOLATION_LEVELS.has(isolationLevel)) {
+    throw new Error(`Unknown isolation level: ${isolationLevel}`);
+  }
+
+  for (let retryNumber = 0; ; retryNumber++) {
+    const outcome = await runTransaction(fn, { isolationLevel, timeoutMs });
+    if (!outcome.error) {
+      return outcome.result;
+    }
+
+    // Only a transaction that was rolled back or never started is retried
+    const reason = retryReason(outcome.error, outcome.sent, false);
+    if (!reason || retryNumber >= RESILIENCE.maxRetries) {
+      throw outcome.error;
+    }
+    if (breaker.getState() === CIRCUIT_STATES.OPEN) {
+      throw new DatabaseUnavailableError(breaker.retryAfterMs());
+    }
+    transactionRetries.inc({ reason });
+    const delayMs = await backoff(retryNumber);
+    log.warn("Retrying transaction", {
+      reason,
+      retry: retryNumber + 1,
+      delayMs,
+      error: outcome.error.message,
+    });
+  }
+};
+
+export {
+  query,
+  withTransaction,
+  pingDatabase,
+  getDatabaseStatus,
+  onDatabaseStatusChange,
+  DatabaseUnavailableError,
+  pool,
+  connectionConfig,
+};
 
 /**
  * 
  * basically isme ho kya rha hai ki in postgress we have methods/functions
- * like query jo ki use hote hai query(GET * FROM TABLE1), getclient()
+ * like query jo ki use hote hai query(GET * FROM TABLE1), withTransaction()
  * aur pool
  * pool jo hai -- creates multiple db connections
  *              reuses them
  *              prevents opening new conn for every query  which will make  this slow
  *         
- * aur getclient picks one client from pool and hands its 
- * control to you 
- * we then run queries and then release the client 
+ * aur withTransaction picks one client from pool, runs BEGIN on it and
+ * hands you tx.query jo usi client pr chalta hai
+ * fn khatam hone pr COMMIT, error aaye toh ROLLBACK, then release the client
  * because during transactions kuch queries sath chalne chaiye ATOMIC 
  * warna roll back kardo 
  * ex---
@@ -119,7 +779,7 @@ INSERT INTO payments ...
 COMMIT;     
 
 Pool’s query() cannot guarantee the same connection is used each time.
-getClient() can.
+withTransaction() can.
 
 
 now hum kya kree hai is that we are monkey patching orr overidding the 
@@ -128,8 +788,8 @@ and hum usme error handling and timeouts add krre hai
 ex--
 in pool we added the max limit,idle timout 
 in query we added query logging,query timing,row count,error logging 
-in getClient we added timeout alarm jo ki 5 sec ki inactivity pr
-warning deta hai ki clint has been logged out
+in withTransaction we added timeout alarm jo ki 5 sec se zyada chalne pr
+warning deta hai, savepoints, aur serialization failure/deadlock pr retry
 
 then hum teeno funcitons ko return krte hai taki bahar jha bhi ye use ho toh
 hum ye overridden wale funs use kre
@@ -153,8 +813,8 @@ This project uses PostgreSQL (Neon) with two core tables:
 1. matches
 2. commentary
 
-The schema is managed directly in Neon via SQL,
-not created at application runtime.
+The schema is managed by versioned migrations in /migrations
+(see src/migrations/migrator.js), not created at application runtime.
 
 TABLE: matches
 
@@ -167,11 +827,15 @@ id : Primary key
 sport : Sport type (e.g., football, cricket)
 home_team : Home team name
 away_team : Away team name
-home_score : Home team score (default 0)
-away_score : Away team score (default 0)
-status : Match status (scheduled | live | completed | cancelled)
+home_score : Home team score total (default 0) - goals, runs, ...
+away_score : Away team score total (default 0)
+score : Sport-specific score (JSONB), shape defined by src/scoring/<sport>.js
+score_sequence : Sequence of the last commentary entry folded into score
+status : Match status (scheduled | postponed | live | suspended | completed | cancelled)
+         Transitions are enforced by src/models/matchLifecycle.js
 start_time : Match start time
 end_time : Match end time
+last_commentary_sequence : Sequence of the latest commentary row (default 0)
 created_at : Record creation timestamp
 
 Notes:
@@ -188,8 +852,10 @@ Columns:
 
 id : Primary key
 match_id : Foreign key → matches.id
-minute : Match minute when the event occurred
-sequence : Ordering of events within the same minute
+minute : Match minute when the event occurred (feeds are ordered by minute, sequence)
+sequence : Per-match, monotonically increasing event number (1, 2, 3, ...)
+           Assigned by the server from matches.last_commentary_sequence and
+           used by WebSocket clients as a resume cursor
 period : Match phase (e.g., first_half, second_half, overtime)
 event_type : Type of event (goal, foul, kickoff, general, etc.)
 actor : Player or entity responsible for the event
@@ -213,14 +879,33 @@ Optimizes fetching all commentary for a specific match
 idx_commentary_created_at
 Optimizes ordering commentary by time (latest-first feeds)
 
-- Schema is created and managed directly in Neon SQL editor
+idx_commentary_match_sequence (UNIQUE on match_id, sequence)
+Guarantees one row per sequence number and serves replay-after-cursor reads
+
+idx_commentary_match_minute_sequence (match_id, minute, sequence)
+Serves per-match commentary feeds ordered by match time
+
+idx_commentary_search_vector (GIN on search_vector)
+search_vector is a generated tsvector over message for full-text search
+
+idx_commentary_tags (GIN on tags)
+Serves tag containment filters (tags @> ARRAY[...])
+
+- Schema changes go in a new pair of migration files:
+    migrations/<version>_<name>.up.sql and migrations/<version>_<name>.down.sql
+- Apply with `npm run migrate`, roll back with `npm run migrate:down`,
+  inspect with `npm run migrate:status`
+- Applied migrations are tracked in the schema_migrations table; an advisory
+  lock keeps concurrent instances from running migrations at the same time
 - Application code only runs queries (no table creation at runtime)
 - Connection pooling is handled via pg Pool
-- Transactions use a single client from the pool when required
+- Transactions run on a single client from the pool via withTransaction()
 
 QUERY USAGE GUIDELINES
 
-- Use pool.query() for single, independent queries
-- Use getClient() for transactions or multiple dependent queries
-- Always release the client after transaction completion
+- Use query() for single, independent queries
+- Use withTransaction() for multiple queries that must succeed or fail
+  together; run them with tx.query, not query()
+- withTransaction() checks the client out and releases it; the callback may
+  run more than once, so emit events only after it returns
 */
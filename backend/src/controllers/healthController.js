@@ -0,0 +1,37 @@
+// src/controllers/healthController.js
+// Request handlers for liveness and readiness probes
+
+import { checkReadiness } from "../health/readiness.js";
+
+/**
+ * GET /health/live
+ * The process is up and serving requests; dependencies are not checked, so
+ * a database outage does not get the instance restarted
+ */
+const getLiveness = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    data: { status: "ok", uptimeSeconds: Math.round(process.uptime()) },
+  });
+};
+
+/**
+ * GET /health/ready
+ * 200 while the instance should receive traffic, 503 otherwise (including
+ * from the moment shutdown begins). See health/readiness.js for the checks.
+ */
+const getReadiness = async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.set("Cache-Control", "no-store");
+  if (ready) {
+    res.json({ success: true, data: { status: "ready", checks } });
+    return;
+  }
+  res.status(503).json({
+    success: false,
+    error: { message: "Not ready", code: "not_ready", details: checks },
+  });
+};
+
+export { getLiveness, getReadiness };
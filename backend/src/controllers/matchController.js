@@ -0,0 +1,336 @@
+// src/controllers/matchController.js
+// Request handlers for match and commentary endpoints
+
+import Match from "../models/match.js";
+import { HttpError } from "../middleware/errorHandler.js";
+import { openMatchStream, openLiveStream } from "../sse/sseHandlers.js";
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter value
+ * @param {string} name - Parameter name (used in the error message)
+ * @returns {number} - Parsed integer
+ */
+const parseId = (value, name = "id") => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new HttpError(400, `Invalid ${name}: must be a positive integer`);
+  }
+  return id;
+};
+
+/**
+ * Parse an optional `limit` query parameter
+ * @param {string|undefined} value - Raw query value
+ * @param {number} fallback - Default when no limit is given
+ * @returns {number} - Limit between 1 and 100
+ */
+const parseLimit = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new HttpError(400, "Invalid limit: must be an integer from 1 to 100");
+  }
+  return limit;
+};
+
+/**
+ * Check that a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isNonNegativeInteger = (value) =>
+  Number.isInteger(value) && value >= 0;
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Load a match or fail with 404
+ * @param {number} id - Match ID
+ * @returns {Promise<Object>} - Match object
+ */
+const findMatchOrFail = async (id) => {
+  const match = await Match.getById(id);
+  if (!match) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+  return match;
+};
+
+/**
+ * GET /matches
+ */
+const getAllMatches = async (req, res) => {
+  const matches = await Match.getAll();
+  res.json({ success: true, data: matches });
+};
+
+/**
+ * GET /matches/live
+ */
+const getLiveMatches = async (req, res) => {
+  const matches = await Match.getLiveMatches();
+  res.json({ success: true, data: matches });
+};
+
+/**
+ * GET /matches/:id
+ */
+const getMatchById = async (req, res) => {
+  const id = parseId(req.params.id);
+  const match = await findMatchOrFail(id);
+  res.json({ success: true, data: match });
+};
+
+/**
+ * POST /matches
+ * Body: validated against "match.create" (see validation/matchSchemas.js)
+ */
+const createMatch = async (req, res) => {
+  const match = await Match.create(req.body);
+  res.status(201).json({ success: true, data: match });
+};
+
+/**
+ * PATCH /matches/:id/score
+ * Body: { score } in the sport's shape (see src/scoring), or
+ *       { home_score, away_score } for sports scored with plain integers
+ *       (validated against "match.score")
+ */
+const updateScore = async (req, res) => {
+  const id = parseId(req.params.id);
+
+  // The shape of `score` is validated by the sport's scoring engine
+  const match = await Match.updateScore(id, req.body);
+  if (!match) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+  res.json({ success: true, data: match });
+};
+
+/**
+ * PATCH /matches/:id/status
+ * Body: { status } (validated against "match.status")
+ * Responds 409 if the lifecycle does not allow the transition
+ */
+const updateStatus = async (req, res) => {
+  const id = parseId(req.params.id);
+  const { status } = req.body;
+
+  const match = await Match.updateStatus(id, status);
+  if (!match) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+  res.json({ success: true, data: match });
+};
+
+/**
+ * DELETE /matches/:id
+ */
+const deleteMatch = async (req, res) => {
+  const id = parseId(req.params.id);
+  const deleted = await Match.delete(id);
+  if (!deleted) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+  res.json({ success: true, data: { id } });
+};
+
+/**
+ * GET /matches/:id/commentary?limit=50
+ */
+const getCommentary = async (req, res) => {
+  const id = parseId(req.params.id);
+  const limit = parseLimit(req.query.limit, 50);
+  await findMatchOrFail(id);
+  const commentary = await Match.getCommentary(id, limit);
+  res.json({ success: true, data: commentary });
+};
+
+/**
+ * POST /matches/:id/commentary
+ * Body: { message, event_type?, minute?, period?, actor?, team?, metadata?, tags? }
+ *       (validated against "commentary.create")
+ * The sequence is assigned by the server. Scoring events (goal, wicket, ...)
+ * also update the match score.
+ */
+const addCommentary = async (req, res) => {
+  const id = parseId(req.params.id);
+  const commentary = await Match.addCommentary({ match_id: id, ...req.body });
+  if (!commentary) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+  res.status(201).json({ success: true, data: commentary });
+};
+
+/**
+ * Parse a list query parameter: ?tags=a,b or ?tags=a&tags=b
+ * @param {string|Array|undefined} value - Raw query value
+ * @returns {Array<string>|undefined} - Non-empty trimmed items
+ */
+const parseList = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : undefined;
+};
+
+/**
+ * Parse an optional single-valued query parameter
+ * @param {*} value - Raw query value
+ * @param {string} name - Parameter name (used in the error message)
+ * @returns {string|undefined} - Trimmed value
+ */
+const parseQueryString = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!isNonEmptyString(value)) {
+    throw new HttpError(400, `Invalid ${name}: must be a single non-empty value`);
+  }
+  return value.trim();
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {*} value - Raw query value
+ * @param {string} name - Parameter name (used in the error message)
+ * @returns {Date|undefined} - Parsed date
+ */
+const parseQueryDate = (value, name) => {
+  const raw = parseQueryString(value, name);
+  if (raw === undefined) {
+    return undefined;
+  }
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Invalid ${name}: must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Parse an optional match minute query parameter
+ * @param {*} value - Raw query value
+ * @param {string} name - Parameter name (used in the error message)
+ * @returns {number|undefined} - Minute
+ */
+const parseQueryMinute = (value, name) => {
+  const raw = parseQueryString(value, name);
+  if (raw === undefined) {
+    return undefined;
+  }
+  const minute = Number(raw);
+  if (!isNonNegativeInteger(minute)) {
+    throw new HttpError(400, `Invalid ${name}: must be a non-negative integer`);
+  }
+  return minute;
+};
+
+/**
+ * GET /commentary
+ * Filter and search commentary across matches
+ * Query: match_id, event_type (comma separated), team, actor, period,
+ *        tags (comma separated, all must match), from, to (dates),
+ *        minute_from, minute_to, q (full-text), cursor, limit
+ */
+const searchCommentary = async (req, res) => {
+  const params = req.query;
+  const matchId = parseQueryString(params.match_id, "match_id");
+
+  const { rows, nextCursor } = await Match.searchCommentary({
+    matchId: matchId === undefined ? undefined : parseId(matchId, "match_id"),
+    eventTypes: parseList(params.event_type),
+    team: parseQueryString(params.team, "team"),
+    actor: parseQueryString(params.actor, "actor"),
+    period: parseQueryString(params.period, "period"),
+    tags: parseList(params.tags),
+    from: parseQueryDate(params.from, "from"),
+    to: parseQueryDate(params.to, "to"),
+    minuteFrom: parseQueryMinute(params.minute_from, "minute_from"),
+    minuteTo: parseQueryMinute(params.minute_to, "minute_to"),
+    search: parseQueryString(params.q, "q"),
+    cursor: parseQueryString(params.cursor, "cursor"),
+    limit: parseLimit(params.limit, 20),
+  });
+
+  res.json({ success: true, data: rows, pagination: { nextCursor } });
+};
+
+/**
+ * GET /commentary/recent?limit=20
+ */
+const getRecentCommentary = async (req, res) => {
+  const limit = parseLimit(req.query.limit, 20);
+  const commentary = await Match.getRecentCommentary(limit);
+  res.json({ success: true, data: commentary });
+};
+
+/**
+ * Read the Last-Event-ID an EventSource sends when it reconnects
+ * Also accepted as ?lastEventId= for clients that cannot set headers
+ * @param {Request} req - HTTP request
+ * @returns {string|undefined} - Last event id
+ */
+const getLastEventId = (req) =>
+  req.get("Last-Event-ID") ??
+  parseQueryString(req.query.lastEventId, "lastEventId");
+
+/**
+ * GET /matches/:id/stream?limit=20
+ * Server-Sent Events stream of one match; see sse/sseHandlers.js
+ */
+const streamMatch = async (req, res) => {
+  const id = parseId(req.params.id);
+  const limit = parseLimit(req.query.limit, 20);
+
+  // Anything but a commentary sequence gets a fresh snapshot
+  const lastEventId = getLastEventId(req);
+  const lastSequence = /^\d+$/.test(lastEventId ?? "")
+    ? Number(lastEventId)
+    : undefined;
+
+  const opened = await openMatchStream(req, res, id, {
+    commentaryLimit: limit,
+    lastSequence,
+  });
+  if (!opened) {
+    throw new HttpError(404, `Match not found: ${id}`);
+  }
+};
+
+/**
+ * GET /matches/live/stream
+ * Server-Sent Events stream of every live match; see sse/sseHandlers.js
+ */
+const streamLiveMatches = async (req, res) => {
+  await openLiveStream(req, res, { lastEventId: getLastEventId(req) });
+};
+
+export {
+  getAllMatches,
+  getLiveMatches,
+  getMatchById,
+  createMatch,
+  updateScore,
+  updateStatus,
+  deleteMatch,
+  getCommentary,
+  addCommentary,
+  searchCommentary,
+  getRecentCommentary,
+  streamMatch,
+  streamLiveMatches,
+};
@@ -0,0 +1,17 @@
+// src/controllers/metricsController.js
+// Request handler for the Prometheus metrics endpoint
+
+import { renderMetrics, METRICS_CONTENT_TYPE } from "../metrics/metrics.js";
+
+/**
+ * GET /metrics
+ * Prometheus text format; each module registers its own metrics (see
+ * metrics/metrics.js). Needs METRICS_TOKEN or an admin token.
+ */
+const getMetrics = (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.set("Cache-Control", "no-store");
+  res.send(renderMetrics());
+};
+
+export { getMetrics };
@@ -0,0 +1,47 @@
+// src/events/matchEvents.js
+// In-process event bus between the model layer and the real-time layer
+
+import { EventEmitter } from "events";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "events" });
+
+/**
+ * Match event types
+ * The values double as the `type` field of the WebSocket messages
+ */
+const MATCH_EVENTS = Object.freeze({
+  SCORE_UPDATE: "score_update",
+  STATUS_CHANGE: "status_change",
+  COMMENTARY: "commentary",
+  MATCH_DELETED: "match_deleted",
+});
+
+/**
+ * Match event bus
+ * The Match model emits here after a successful write; listeners
+ * (e.g. the WebSocket broadcaster) react without the model knowing about them.
+ *
+ * Every event is emitted with a single payload object:
+ *   score_update   -> { match }
+ *   status_change  -> { match, previousStatus }
+ *   commentary     -> { match_id, match, commentary }
+ *   match_deleted  -> { match }
+ */
+const matchEvents = new EventEmitter();
+
+/**
+ * Emit a match event without letting a failing listener break the caller
+ * The database write has already succeeded by the time we emit
+ * @param {string} type - One of MATCH_EVENTS
+ * @param {Object} payload - Event payload
+ */
+const emitMatchEvent = (type, payload) => {
+  try {
+    matchEvents.emit(type, payload);
+  } catch (error) {
+    log.error("Match event listener failed", { type, err: error });
+  }
+};
+
+export { matchEvents, emitMatchEvent, MATCH_EVENTS };
@@ -0,0 +1,277 @@
+// src/events/pgEventRelay.js
+// Relays match events between server instances through Postgres LISTEN/NOTIFY
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { Client } from "pg";
+import { query, connectionConfig } from "../config/db.js";
+import { matchEvents, emitMatchEvent, MATCH_EVENTS } from "./matchEvents.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "events" });
+
+/**
+ * Flow:
+ *   Match model -> matchEvents (local) -> NOTIFY match_events
+ *   LISTEN match_events (other instances) -> matchEvents with remote: true
+ *
+ * Each instance broadcasts its own events straight away and ignores their
+ * echo from NOTIFY. Events relayed from another instance are emitted with
+ * `remote: true` so they are not published again.
+ *
+ * NOTIFY is not queued for a listener that is disconnected: whatever other
+ * instances publish while the LISTEN connection is down is lost. Once it is
+ * back, onEventRelayResync listeners are told so clients can catch up from
+ * the database (see wsBroadcaster.js).
+ */
+const CHANNEL = "match_events";
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_NOTIFY_BYTES = 7900;
+
+// How long overflow payloads are kept for slow listeners
+const PAYLOAD_RETENTION_MINUTES = 5;
+const PRUNE_INTERVAL_MS = 60000;
+
+const RECONNECT_MIN_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+const instanceId = crypto.randomUUID();
+const eventTypes = new Set(Object.values(MATCH_EVENTS));
+
+let stopped = true;
+let listener = null;
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_MIN_DELAY_MS;
+let pruneTimer = null;
+// Set while events from other instances may have been missed
+let missedEvents = false;
+
+const relayEvents = new EventEmitter();
+
+// Publishing and receiving each run one at a time to keep events in order
+let publishQueue = Promise.resolve();
+let receiveQueue = Promise.resolve();
+
+/**
+ * Send one event to the other instances
+ * Payloads too large for NOTIFY are stored in match_event_payloads and
+ * only their id is sent. Notifications are not retried after a lost
+ * connection, as other instances might then get the event twice.
+ * @param {string} type - Match event type
+ * @param {Object} payload - Event payload
+ */
+const publish = async (type, payload) => {
+  const message = JSON.stringify({ instanceId, type, payload });
+  if (Buffer.byteLength(message) <= MAX_NOTIFY_BYTES) {
+    await query("SELECT pg_notify($1, $2)", [CHANNEL, message], {
+      retry: false,
+    });
+    return;
+  }
+
+  const result = await query(
+    `INSERT INTO match_event_payloads (payload) VALUES ($1) RETURNING id`,
+    [{ type, payload }],
+  );
+  await query(
+    "SELECT pg_notify($1, $2)",
+    [CHANNEL, JSON.stringify({ instanceId, type, ref: result.rows[0].id })],
+    { retry: false },
+  );
+};
+
+/**
+ * Queue a local event for publishing
+ * @param {string} type - Match event type
+ * @param {Object} payload - Event payload
+ */
+const onLocalEvent = (type, payload) => {
+  if (payload.remote) {
+    return;
+  }
+  publishQueue = publishQueue
+    .then(() => publish(type, payload))
+    .catch((error) => {
+      log.error("Failed to publish match event", { type, err: error });
+    });
+};
+
+/**
+ * Handle a notification from another instance
+ * @param {Object} notification - { channel, payload }
+ */
+const handleNotification = async ({ channel, payload }) => {
+  if (channel !== CHANNEL) {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(payload);
+  } catch (error) {
+    log.warn("Ignoring malformed match event notification");
+    return;
+  }
+
+  if (message.instanceId === instanceId || !eventTypes.has(message.type)) {
+    return;
+  }
+
+  let eventPayload = message.payload;
+  if (message.ref !== undefined) {
+    const result = await query(
+      `SELECT payload FROM match_event_payloads WHERE id = $1`,
+      [message.ref],
+    );
+    if (!result.rows[0]) {
+      log.warn("Match event payload has already expired", { ref: message.ref });
+      return;
+    }
+    eventPayload = result.rows[0].payload.payload;
+  }
+
+  emitMatchEvent(message.type, { ...eventPayload, remote: true });
+};
+
+/**
+ * Open the dedicated LISTEN connection
+ * Retries with exponential backoff until stopEventRelay is called
+ */
+const connectListener = async () => {
+  const client = new Client(connectionConfig);
+  listener = client;
+
+  client.on("notification", (notification) => {
+    receiveQueue = receiveQueue
+      .then(() => handleNotification(notification))
+      .catch((error) => {
+        log.error("Failed to handle match event notification", { err: error });
+      });
+  });
+  client.on("error", (error) => {
+    log.error("Match event listener error", { err: error });
+    handleListenerLoss(client);
+  });
+  client.on("end", () => handleListenerLoss(client));
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+    reconnectDelay = RECONNECT_MIN_DELAY_MS;
+    log.info("Listening for match events", { channel: CHANNEL });
+    if (missedEvents) {
+      missedEvents = false;
+      log.warn("Match events from other instances may have been missed");
+      relayEvents.emit("resync");
+    }
+  } catch (error) {
+    log.error("Could not start match event listener", { err: error });
+    handleListenerLoss(client);
+  }
+};
+
+/**
+ * Drop a failed listener connection and schedule a reconnect
+ * @param {pg.Client} client - Connection that failed or ended
+ */
+const handleListenerLoss = (client) => {
+  // Ignore events from connections we already gave up on
+  if (client !== listener) {
+    return;
+  }
+  listener = null;
+  client.removeAllListeners("notification");
+  client.end().catch(() => {});
+
+  if (stopped) {
+    return;
+  }
+  missedEvents = true;
+  if (reconnectTimer) {
+    return;
+  }
+
+  log.warn("Match event listener disconnected, reconnecting", {
+    delayMs: reconnectDelay,
+  });
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectListener();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+};
+
+/**
+ * Delete overflow payloads every listener has had time to read
+ */
+const prunePayloads = async () => {
+  try {
+    await query(
+      `DELETE FROM match_event_payloads
+       WHERE created_at < NOW() - make_interval(mins => $1)`,
+      [PAYLOAD_RETENTION_MINUTES],
+      { retry: true },
+    );
+  } catch (error) {
+    log.error("Failed to prune match event payloads", { err: error });
+  }
+};
+
+const localListeners = Array.from(eventTypes).map((type) => [
+  type,
+  (payload) => onLocalEvent(type, payload),
+]);
+
+/**
+ * Start relaying match events between instances
+ */
+const startEventRelay = async () => {
+  if (!stopped) {
+    return;
+  }
+  stopped = false;
+  missedEvents = false;
+
+  localListeners.forEach(([type, listenerFn]) => matchEvents.on(type, listenerFn));
+  pruneTimer = setInterval(prunePayloads, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  await connectListener();
+};
+
+/**
+ * Stop relaying and close the LISTEN connection
+ * Waits for events already queued for publishing
+ */
+const stopEventRelay = async () => {
+  if (stopped) {
+    return;
+  }
+  stopped = true;
+
+  localListeners.forEach(([type, listenerFn]) => matchEvents.off(type, listenerFn));
+  clearInterval(pruneTimer);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  await publishQueue;
+
+  const client = listener;
+  listener = null;
+  if (client) {
+    await client.end().catch(() => {});
+  }
+};
+
+/**
+ * Listen for the relay reconnecting after events may have been missed
+ * @param {Function} listener - () => void
+ * @returns {Function} - Call to stop listening
+ */
+const onEventRelayResync = (listener) => {
+  relayEvents.on("resync", listener);
+  return () => relayEvents.off("resync", listener);
+};
+
+export { startEventRelay, stopEventRelay, onEventRelayResync };
@@ -0,0 +1,80 @@
+// src/health/readiness.js
+// Readiness state and dependency checks for health probes
+
+import {
+  pingDatabase,
+  getDatabaseStatus,
+  DatabaseUnavailableError,
+} from "../config/db.js";
+import wsServer from "../websocket/wsServer.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "health" });
+
+/**
+ * Time limit for the database check
+ * Kept below typical probe timeouts so a slow database reports not ready
+ * instead of timing the probe out
+ */
+const DB_CHECK_TIMEOUT = parseInt(process.env.HEALTH_DB_CHECK_TIMEOUT) || 1000;
+
+let shuttingDown = false;
+
+/**
+ * Report not ready from now on
+ * Called as soon as shutdown begins, so load balancers stop sending new
+ * traffic while existing connections are drained
+ */
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * Check the database
+ * The reason for a failure is logged, not returned: probe responses are
+ * public and driver errors can name hosts and users. While the circuit
+ * breaker is open the check fails without querying (see config/db.js).
+ * @returns {Promise<Object>} - { ok, durationMs, circuit }
+ */
+const checkDatabase = async () => {
+  const start = Date.now();
+  try {
+    await pingDatabase(DB_CHECK_TIMEOUT);
+    return {
+      ok: true,
+      durationMs: Date.now() - start,
+      circuit: getDatabaseStatus().circuit,
+    };
+  } catch (error) {
+    const durationMs = Date.now() - start;
+    // The breaker already logged why it opened
+    if (!(error instanceof DatabaseUnavailableError)) {
+      log.warn("Readiness database check failed", { durationMs, err: error });
+    }
+    return { ok: false, durationMs, circuit: getDatabaseStatus().circuit };
+  }
+};
+
+/**
+ * Run the readiness checks
+ * Ready means: not shutting down, the database answers a query within
+ * DB_CHECK_TIMEOUT, and the WebSocket server accepts connections. The
+ * database is not queried once shutdown has begun.
+ * @returns {Promise<Object>} - { ready, checks: { shutdown, database,
+ *   websocket } }
+ */
+const checkReadiness = async () => {
+  const checks = {
+    shutdown: { ok: !shuttingDown },
+    database: shuttingDown
+      ? { ok: false, skipped: true }
+      : await checkDatabase(),
+    websocket: { ok: wsServer.isAcceptingConnections() },
+  };
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+  };
+};
+
+export { markShuttingDown, checkReadiness };
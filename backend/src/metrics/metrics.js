@@ -0,0 +1,293 @@
+// src/metrics/metrics.js
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in
+// the text exposition format
+
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "metrics" });
+
+/**
+ * Registered metrics, in registration order
+ * Structure: Map<name, metric>
+ */
+const registry = new Map();
+
+/**
+ * Default histogram buckets, in seconds
+ */
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+/**
+ * Escape help text for the exposition format
+ * @param {string} help - Help text
+ * @returns {string} - Escaped text
+ */
+const escapeHelp = (help) =>
+  help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label values by name
+ * @returns {string} - e.g. {method="GET",route="/matches"}, or "" for none
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Render a sample value
+ * @param {number} value - Sample value
+ * @returns {string} - Value in exposition format
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+};
+
+/**
+ * Build the key of a label set, with labels in declared order
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {string} - Series key
+ */
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+
+/**
+ * Pick the declared labels from a label set
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {Object} - Labels in declared order
+ */
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(
+    labelNames.map((name) => [name, String(labels[name] ?? "")]),
+  );
+
+/**
+ * Add a metric to the registry
+ * @param {Object} metric - Metric with name, help, type and samples()
+ * @returns {Object} - The metric
+ */
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * Create a counter: a value that only goes up
+ * @param {Object} options - Metric definition
+ * @param {string} options.name - Metric name (e.g. sportz_ws_messages_total)
+ * @param {string} options.help - Description
+ * @param {Array<string>} [options.labelNames] - Label names
+ * @returns {Object} - { inc(labels?, value?) }
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  // Structure: Map<seriesKey, { labels, value }>
+  const series = new Map();
+
+  const getSeries = (labels) => {
+    const key = seriesKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+    }
+    return series.get(key);
+  };
+
+  // A counter without labels reports 0 before its first increment
+  if (labelNames.length === 0) {
+    getSeries({});
+  }
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, value = 1) {
+      getSeries(labels).value += value;
+    },
+    samples: () =>
+      Array.from(series.values()).map(({ labels, value }) => ({
+        name,
+        labels,
+        value,
+      })),
+  });
+};
+
+/**
+ * Create a gauge: a value read when metrics are scraped
+ * @param {Object} options - Metric definition
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description
+ * @param {Array<string>} [options.labelNames] - Label names
+ * @param {Function} options.collect - () => number, or
+ *   Array<{ labels, value }> for a gauge with labels
+ * @returns {Object} - The gauge
+ */
+const createGauge = ({ name, help, labelNames = [], collect }) =>
+  register({
+    name,
+    help,
+    type: "gauge",
+    samples: () => {
+      const collected = collect();
+      const values = Array.isArray(collected)
+        ? collected
+        : [{ labels: {}, value: collected }];
+      return values.map(({ labels, value }) => ({
+        name,
+        labels: pickLabels(labelNames, labels),
+        value,
+      }));
+    },
+  });
+
+/**
+ * Create a histogram of observed values (e.g. durations in seconds)
+ * @param {Object} options - Metric definition
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description
+ * @param {Array<string>} [options.labelNames] - Label names
+ * @param {Array<number>} [options.buckets] - Upper bounds, ascending
+ * @returns {Object} - { observe(labels, value), startTimer(labels?) }
+ */
+const createHistogram = ({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+}) => {
+  // Structure: Map<seriesKey, { labels, counts, sum, count }>
+  // counts[i] holds observations <= buckets[i] (not cumulative)
+  const series = new Map();
+
+  const observe = (labels, value) => {
+    const key = seriesKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+    const entry = series.get(key);
+    const index = buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      entry.counts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  };
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe,
+    /**
+     * Start timing; call the returned function to record the duration
+     * @param {Object} [labels] - Labels known up front
+     * @returns {Function} - (extraLabels?) => seconds
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    samples: () =>
+      Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => {
+        let cumulative = 0;
+        return [
+          ...buckets.map((bound, index) => {
+            cumulative += counts[index];
+            return {
+              name: `${name}_bucket`,
+              labels: { ...labels, le: formatValue(bound) },
+              value: cumulative,
+            };
+          }),
+          {
+            name: `${name}_bucket`,
+            labels: { ...labels, le: "+Inf" },
+            value: count,
+          },
+          { name: `${name}_sum`, labels, value: sum },
+          { name: `${name}_count`, labels, value: count },
+        ];
+      }),
+  });
+};
+
+/**
+ * Render every registered metric
+ * A metric whose collector throws is left out rather than failing the
+ * whole scrape.
+ * @returns {string} - Prometheus text exposition format (version 0.0.4)
+ */
+const renderMetrics = () =>
+  Array.from(registry.values())
+    .map((metric) => {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch (error) {
+        log.error("Metric collector failed", {
+          metric: metric.name,
+          err: error,
+        });
+        return "";
+      }
+      return [
+        `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...samples.map(
+          ({ name, labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        ),
+      ].join("\n");
+    })
+    .filter(Boolean)
+    .join("\n")
+    .concat("\n");
+
+/**
+ * Content type of renderMetrics output
+ */
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+};
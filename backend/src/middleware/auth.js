@@ -0,0 +1,59 @@
+// src/middleware/auth.js
+// Token authentication and role checks for HTTP routes
+
+import crypto from "crypto";
+import { verifyToken, extractToken, AuthError } from "../auth/token.js";
+import { ROLES, hasRole } from "../auth/roles.js";
+import { HttpError } from "./errorHandler.js";
+
+/**
+ * Require a valid token with at least the given role
+ * Sets req.user = { id, role } for the handlers that follow
+ * Responds 401 without a valid token and 403 when the role is too low
+ *
+ * @param {string} role - Minimum role (see auth/roles.js)
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    throw new AuthError("Authentication required");
+  }
+
+  const claims = verifyToken(token);
+  req.user = { id: claims.sub, role: claims.role };
+
+  if (!hasRole(claims.role, role)) {
+    throw new HttpError(403, `This action requires the ${role} role`);
+  }
+  next();
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} given - Value from the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - True if equal
+ */
+const secretsMatch = (given, expected) => {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+/**
+ * Require the METRICS_TOKEN scrape token or an admin token
+ * Lets Prometheus scrape with a static bearer token from its config
+ * instead of an expiring signed one. Without METRICS_TOKEN only admins can
+ * read metrics.
+ */
+const requireMetricsAccess = (req, res, next) => {
+  const scrapeToken = process.env.METRICS_TOKEN;
+  const token = extractToken(req);
+  if (scrapeToken && token && secretsMatch(token, scrapeToken)) {
+    next();
+    return;
+  }
+  requireRole(ROLES.ADMIN)(req, res, next);
+};
+
+export { requireRole, requireMetricsAccess };
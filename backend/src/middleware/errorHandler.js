@@ -1,6 +1,26 @@
 // src/middleware/errorHandler.js
 // Centralized error handling middleware for Express
 
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "http" });
+
+/**
+ * HTTP error carrying a status code
+ * Throw this from controllers so errorHandler responds with the right status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+  }
+}
+
 /**
  * Global error handler middleware
  * Catches all errors from routes and sends appropriate response
@@ -15,22 +35,43 @@ const errorHandler = (err, req, res, next) => {
     return next(err);
   }
 
-  console.error("Error occurred:");
-  console.error("Path:", req.path);
-  console.error("Method:", req.method);
-  console.error("Error:", err);
-
   // Determine status code
   const statusCode = err.statusCode || 500;
 
+  // Client errors are expected; only server errors need a stack trace.
+  // Errors with a retry delay (e.g. the database circuit breaker being
+  // open) are expected too, and logged where they originate.
+  if (statusCode >= 500 && err.retryAfterMs === undefined) {
+    log.error("Request error", { method: req.method, path: req.path, err });
+  } else {
+    log.debug("Request rejected", {
+      method: req.method,
+      path: req.path,
+      status: statusCode,
+      error: err.message,
+    });
+  }
+
   // Determine error message
   const message = err.message || "Internal Server Error";
 
+  // e.g. DatabaseUnavailableError while the database circuit is open
+  if (err.statusCode && err.retryAfterMs !== undefined) {
+    res.set(
+      "Retry-After",
+      String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))),
+    );
+  }
+
   // Send error response
+  // Only our own errors (those with a statusCode) expose a code, so driver
+  // error codes never leak
   res.status(statusCode).json({
     success: false,
     error: {
       message: message,
+      ...(err.statusCode && err.code && { code: err.code }),
+      ...(err.details && { details: err.details }),
       // Only include stack trace in development
       ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
     },
@@ -50,4 +91,4 @@ const notFoundHandler = (req, res) => {
   });
 };
 
-export { errorHandler, notFoundHandler };
+export { errorHandler, notFoundHandler, HttpError };
@@ -0,0 +1,35 @@
+// src/middleware/httpMetrics.js
+// HTTP request duration metrics by route
+
+import { createHistogram } from "../metrics/metrics.js";
+
+/**
+ * Request durations
+ * Labelled with the route pattern (e.g. /matches/:id), never the raw path,
+ * so match ids do not create a series each. Requests that matched no route
+ * (404s, and requests refused before routing such as rate-limited ones) are
+ * labelled "unmatched". Event streams are observed when they close.
+ */
+const requestDuration = createHistogram({
+  name: "sportz_http_request_duration_seconds",
+  help: "HTTP request duration, by method, route and status",
+  labelNames: ["method", "route", "status"],
+});
+
+/**
+ * Time every request from arrival until its response closes
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = requestDuration.startTimer({ method: req.method });
+
+  res.on("close", () => {
+    endTimer({
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+export { httpMetrics };
@@ -0,0 +1,50 @@
+// src/middleware/rateLimit.js
+// Per-IP rate limiting for HTTP routes
+
+import { createKeyedLimiter, getClientIp } from "../utils/tokenBucket.js";
+import { HttpError } from "./errorHandler.js";
+
+/**
+ * Create a per-IP rate limiting middleware
+ * Over the limit the request fails with 429 and a Retry-After header
+ * @param {Object} options - Limiter options
+ * @param {number} options.capacity - Maximum burst per IP
+ * @param {number} options.refillPerSecond - Sustained requests per second per IP
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ capacity, refillPerSecond }) => {
+  const limiter = createKeyedLimiter(capacity, refillPerSecond);
+
+  return (req, res, next) => {
+    const key = getClientIp(req);
+    if (limiter.take(key)) {
+      next();
+      return;
+    }
+
+    const retryAfterSeconds = Math.max(
+      1,
+      Math.ceil(limiter.retryAfterMs(key) / 1000),
+    );
+    res.set("Retry-After", String(retryAfterSeconds));
+    throw new HttpError(429, "Too many requests, please slow down");
+  };
+};
+
+/**
+ * Limit for every HTTP request
+ */
+const apiRateLimit = rateLimit({
+  capacity: parseInt(process.env.HTTP_RATE_LIMIT_BURST) || 100,
+  refillPerSecond: parseInt(process.env.HTTP_RATE_LIMIT_PER_SECOND) || 20,
+});
+
+/**
+ * Stricter limit for endpoints that write to the database
+ */
+const writeRateLimit = rateLimit({
+  capacity: parseInt(process.env.HTTP_WRITE_RATE_LIMIT_BURST) || 20,
+  refillPerSecond: parseInt(process.env.HTTP_WRITE_RATE_LIMIT_PER_SECOND) || 5,
+});
+
+export { rateLimit, apiRateLimit, writeRateLimit };
@@ -0,0 +1,48 @@
+// src/middleware/requestLogger.js
+// Request ids and one log line per HTTP request
+
+import crypto from "crypto";
+import { logger, runWithContext } from "../utils/logger.js";
+
+const log = logger.child({ module: "http" });
+
+// Ids accepted from an upstream proxy or client
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+/**
+ * Give every request a correlation id and log it when it ends
+ * The id is taken from an X-Request-Id header when it looks sane, or
+ * generated, and is sent back in X-Request-Id. Everything logged while
+ * handling the request (including queries) carries it as requestId.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = REQUEST_ID_PATTERN.test(incoming ?? "")
+    ? incoming
+    : crypto.randomUUID();
+  const start = Date.now();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  // "close" also fires for requests the client abandoned (and ends streams)
+  res.on("close", () => {
+    const fields = {
+      requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+      ...(!res.writableFinished && { aborted: true }),
+    };
+    if (res.statusCode >= 500) {
+      log.warn("Request failed", fields);
+    } else {
+      log.info("Request completed", fields);
+    }
+  });
+
+  runWithContext({ requestId }, next);
+};
+
+export { requestLogger };
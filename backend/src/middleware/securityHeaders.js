@@ -0,0 +1,20 @@
+// src/middleware/securityHeaders.js
+// Response headers that stop browsers from treating API output as a page
+
+/**
+ * Set headers on every response
+ * Text is returned exactly as stored, so a commentary entry may well
+ * contain "<script>". These headers make sure a browser never sniffs a
+ * JSON or event-stream response as HTML or runs anything from it.
+ *   X-Content-Type-Options  - Trust the declared Content-Type
+ *   Content-Security-Policy - Load nothing and allow no framing
+ */
+const securityHeaders = (req, res, next) => {
+  res.set({
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+  });
+  next();
+};
+
+export { securityHeaders };
@@ -0,0 +1,21 @@
+// src/middleware/validate.js
+// Request body validation against the shared schema registry
+
+import { validateOrThrow } from "../validation/registry.js";
+import "../validation/matchSchemas.js";
+
+/**
+ * Validate req.body against a registered schema
+ * Replaces req.body with the normalized value (trimmed strings, aliases
+ * resolved, unknown fields dropped). Responds 400 with code
+ * "validation_failed" and the failing fields in `details` otherwise.
+ *
+ * @param {string} name - Schema name (see validation/matchSchemas.js)
+ * @returns {Function} - Express middleware
+ */
+const validateBody = (name) => (req, res, next) => {
+  req.body = validateOrThrow(name, req.body ?? {});
+  next();
+};
+
+export { validateBody };
@@ -0,0 +1,65 @@
+// src/migrations/cli.js
+// Command line entry point for schema migrations
+//
+// Usage:
+//   node src/migrations/cli.js up          Apply all pending migrations
+//   node src/migrations/cli.js down [n]    Roll back the last n migrations (default 1)
+//   node src/migrations/cli.js status      Show applied and pending migrations
+
+import { pool } from "../config/db.js";
+import { migrateUp, migrateDown, getMigrationStatus } from "./migrator.js";
+
+const USAGE = "Usage: node src/migrations/cli.js <up|down [steps]|status>";
+
+const run = async (command, arg) => {
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp();
+      console.log(
+        applied.length > 0
+          ? `Applied ${applied.length} migration(s)`
+          : "Database is up to date",
+      );
+      break;
+    }
+
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      const rolledBack = await migrateDown(steps);
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case "status": {
+      const status = await getMigrationStatus();
+      status.forEach((migration) => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toISOString()}`
+          : "pending";
+        const warning = migration.modified ? " (modified since applied!)" : "";
+        console.log(
+          `${migration.version}_${migration.name}  ${state}${warning}`,
+        );
+      });
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+const [command, arg] = process.argv.slice(2);
+
+run(command, arg)
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch((error) => {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,243 @@
+// src/migrations/migrator.js
+// Versioned schema migrations: ordered up/down SQL files tracked in the database
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { pool } from "../config/db.js";
+
+/**
+ * Directory holding the migration files
+ * Files are named <version>_<name>.up.sql and <version>_<name>.down.sql,
+ * e.g. 0001_create_matches_and_commentary.up.sql
+ */
+const MIGRATIONS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../migrations",
+);
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Advisory lock key shared by every instance running migrations
+ * Any constant works as long as nothing else in the database uses it
+ */
+const MIGRATION_LOCK_KEY = 727274001;
+
+/**
+ * Load migration files from disk, sorted by version
+ * @returns {Promise<Array>} - [{ version, name, up, down, checksum }]
+ */
+const loadMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = sql;
+  }
+
+  const sorted = Array.from(migrations.values()).sort(
+    (a, b) => Number(a.version) - Number(b.version),
+  );
+
+  for (const migration of sorted) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both an up and a down file`,
+      );
+    }
+    migration.checksum = crypto
+      .createHash("sha256")
+      .update(migration.up)
+      .digest("hex");
+  }
+
+  return sorted;
+};
+
+/**
+ * Create the tracking table if it does not exist yet
+ * @param {pg.PoolClient} client - Client holding the migration lock
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+};
+
+/**
+ * Read applied migrations from the tracking table
+ * @param {pg.PoolClient} client - Database client
+ * @returns {Promise<Map>} - Map<version, row>
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at
+     FROM schema_migrations
+     ORDER BY version`,
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+};
+
+/**
+ * Fail if an applied migration's file was edited after it ran
+ * @param {Array} migrations - Migrations loaded from disk
+ * @param {Map} applied - Applied migrations
+ */
+const verifyChecksums = (migrations, applied) => {
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    if (row && row.checksum !== migration.checksum) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} was modified after it was applied`,
+      );
+    }
+  }
+};
+
+/**
+ * Run a callback on a dedicated client while holding the migration lock
+ * The advisory lock makes concurrent instances wait instead of racing.
+ * Migrations (and waiting for the lock) may take longer than the pool's
+ * statement timeout, so it is lifted for this client.
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise<*>} - Callback result
+ */
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SET statement_timeout = 0");
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [
+        MIGRATION_LOCK_KEY,
+      ]);
+    }
+  } finally {
+    // Close the connection rather than return it to the pool without a
+    // statement timeout
+    client.release(true);
+  }
+};
+
+/**
+ * Run one migration step inside its own transaction
+ * @param {pg.PoolClient} client - Client holding the migration lock
+ * @param {string} sql - Migration SQL
+ * @param {Function} record - async () => void, updates the tracking table
+ */
+const runInTransaction = async (client, sql, record) => {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+};
+
+/**
+ * Apply all pending migrations in version order
+ * @returns {Promise<Array>} - Migrations that were applied
+ */
+const migrateUp = async () => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(migrations, applied);
+
+    const pending = migrations.filter((m) => !applied.has(m.version));
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.up, () =>
+        client.query(
+          `INSERT INTO schema_migrations (version, name, checksum)
+           VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum],
+        ),
+      );
+    }
+    return pending;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back
+ * @returns {Promise<Array>} - Migrations that were rolled back
+ */
+const migrateDown = async (steps = 1) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(migrations, applied);
+
+    const toRollBack = Array.from(applied.keys())
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, steps);
+
+    const rolledBack = [];
+    for (const version of toRollBack) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(`No migration files found for applied version ${version}`);
+      }
+      console.log(
+        `Rolling back migration ${migration.version}_${migration.name}`,
+      );
+      await runInTransaction(client, migration.down, () =>
+        client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+          version,
+        ]),
+      );
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+};
+
+/**
+ * Report which migrations are applied and which are pending
+ * @returns {Promise<Array>} - [{ version, name, applied, appliedAt }]
+ */
+const getMigrationStatus = async () => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    return migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at ?? null,
+      modified:
+        applied.has(migration.version) &&
+        applied.get(migration.version).checksum !== migration.checksum,
+    }));
+  });
+};
+
+export { migrateUp, migrateDown, getMigrationStatus, loadMigrations };
@@ -1,7 +1,168 @@
 // src/models/Match.js
 // Database model for match operations (CRUD operations)
 
-import { query } from "../config/db.js";
+import { query, withTransaction } from "../config/db.js";
+import { emitMatchEvent, MATCH_EVENTS } from "../events/matchEvents.js";
+import {
+  MATCH_STATUS,
+  TERMINAL_STATUSES,
+  allowedPreviousStatuses,
+  InvalidTransitionError,
+} from "./matchLifecycle.js";
+import {
+  SCORE_CORRECTION,
+  getScoringEngine,
+  isScoringEvent,
+  applyCommentary,
+  deriveScore,
+} from "../scoring/index.js";
+
+/**
+ * Columns returned for commentary rows
+ * Listed explicitly so internal columns (e.g. search_vector) stay out of
+ * API responses and broadcasts
+ * @param {string} [alias] - Table alias to prefix each column with
+ * @returns {string} - Column list for a SELECT or RETURNING clause
+ */
+const commentaryColumns = (alias) =>
+  [
+    "id",
+    "match_id",
+    "minute",
+    "sequence",
+    "period",
+    "event_type",
+    "actor",
+    "team",
+    "message",
+    "metadata",
+    "tags",
+    "created_at",
+  ]
+    .map((column) => (alias ? `${alias}.${column}` : column))
+    .join(", ");
+
+// timestamptz as Postgres prints it, e.g. 2026-10-19 14:44:58.028123+00
+const TIMESTAMP_TEXT_PATTERN =
+  /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?[+-]\d{2}(:\d{2})?$/;
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} position - Sort keys of the last row on the page
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} - Sort keys, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return typeof position === "object" && position !== null ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Maximum number of missed commentary entries replayed on resume
+ * Clients further behind get a fresh snapshot instead
+ */
+const MAX_REPLAY_COMMENTARY = 1000;
+
+/**
+ * Write a commentary entry and, for scoring events, the new match score in
+ * one transaction, then emit the events for them
+ * The matches row is locked first, so concurrent entries for a match are
+ * numbered and applied to the score one at a time, in sequence order.
+ * Either both writes commit or neither does: a scoring event that does not
+ * apply to the current score leaves no commentary row and no gap in the
+ * sequence.
+ * @param {Object} entry - Commentary columns; event_type already defaulted
+ * @returns {Promise<Object|undefined>} - { match, commentary, scored }, or
+ *   undefined if the match does not exist
+ * @throws {ScoringError} - If a scoring event is invalid for the match
+ */
+const recordCommentary = async (entry) => {
+  const written = await withTransaction(async (tx) => {
+    const locked = await tx.query(
+      `SELECT * FROM matches WHERE id = $1 FOR UPDATE`,
+      [entry.match_id],
+    );
+    const match = locked.rows[0];
+    if (!match) {
+      return undefined;
+    }
+
+    const scoring = isScoringEvent(match, entry.event_type);
+    const score = scoring
+      ? applyCommentary(
+          match,
+          match.score ?? getScoringEngine(match.sport).initialScore(),
+          entry,
+        )
+      : undefined;
+
+    const inserted = await tx.query(
+      `WITH seq AS (
+         UPDATE matches
+         SET last_commentary_sequence = last_commentary_sequence + 1
+         WHERE id = $1
+         RETURNING last_commentary_sequence
+       )
+       INSERT INTO commentary
+         (match_id, message, event_type, minute, period, actor, team,
+          metadata, tags, sequence)
+       SELECT $1, $2::text, $3::text, $4::integer, $5::text, $6::text,
+              $7::text, $8::jsonb, $9::text[], last_commentary_sequence
+       FROM seq
+       RETURNING ${commentaryColumns()}`,
+      [
+        entry.match_id,
+        entry.message,
+        entry.event_type,
+        entry.minute ?? null,
+        entry.period ?? null,
+        entry.actor ?? null,
+        entry.team ?? null,
+        entry.metadata ?? null,
+        entry.tags ?? null,
+      ],
+    );
+    const commentary = inserted.rows[0];
+    if (!scoring) {
+      return { match, commentary, scored: false };
+    }
+
+    const totals = getScoringEngine(match.sport).totals(score);
+    const updated = await tx.query(
+      `UPDATE matches
+       SET score = $1, home_score = $2, away_score = $3, score_sequence = $4
+       WHERE id = $5
+       RETURNING *`,
+      [score, totals.home, totals.away, commentary.sequence, match.id],
+    );
+    return { match: updated.rows[0], commentary, scored: true };
+  });
+
+  // Only once committed: the transaction may have run more than once
+  if (written) {
+    const { match, commentary, scored } = written;
+    emitMatchEvent(MATCH_EVENTS.COMMENTARY, {
+      match_id: match.id,
+      match,
+      commentary,
+    });
+    if (scored) {
+      emitMatchEvent(MATCH_EVENTS.SCORE_UPDATE, { match });
+    }
+  }
+  return written;
+};
 
 /**
  * Match Model
@@ -40,91 +201,234 @@ class Match {
     return result.rows;
   }
 
+  /**
+   * Get matches that have not finished, optionally for one sport or team
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.sport] - Sport name (case-insensitive)
+   * @param {string} [filters.team] - Home or away team name (case-insensitive)
+   * @returns {Promise<Array>} - Array of match objects, soonest first
+   */
+  static async getActiveMatches({ sport, team } = {}) {
+    const result = await query(
+      `SELECT * FROM matches
+       WHERE status <> ALL($1::text[])
+         AND ($2::text IS NULL OR lower(sport) = lower($2))
+         AND ($3::text IS NULL
+              OR lower(home_team) = lower($3)
+              OR lower(away_team) = lower($3))
+       ORDER BY start_time ASC NULLS LAST, id ASC`,
+      [TERMINAL_STATUSES, sport ?? null, team ?? null],
+    );
+    return result.rows;
+  }
+
   /**
    * Create a new match
+   * Matches start as scheduled, or as live when created mid-game
+   * (start_time then defaults to now). The score starts in the shape of the
+   * sport's scoring engine.
    * @param {Object} matchData - Match data
    * @returns {Promise<Object>} - Created match object
    */
   static async create({
+    sport,
     home_team,
     away_team,
     team_home,
     team_away,
     start_time,
+    status = MATCH_STATUS.SCHEDULED,
   }) {
     const resolvedHomeTeam = home_team ?? team_home;
     const resolvedAwayTeam = away_team ?? team_away;
+    const engine = getScoringEngine(sport);
+    const score = engine.initialScore();
+    const totals = engine.totals(score);
     const result = await query(
-      `INSERT INTO matches (home_team, away_team, start_time, status)
-       VALUES ($1, $2, $3, 'scheduled')
+      `INSERT INTO matches
+         (sport, home_team, away_team, start_time, status, score, home_score, away_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [resolvedHomeTeam, resolvedAwayTeam, start_time || new Date()],
+      [
+        sport ?? null,
+        resolvedHomeTeam,
+        resolvedAwayTeam,
+        start_time || new Date(),
+        status,
+        score,
+        totals.home,
+        totals.away,
+      ],
     );
-    return result.rows[0];
+    const match = result.rows[0];
+    if (match.status === MATCH_STATUS.LIVE) {
+      emitMatchEvent(MATCH_EVENTS.STATUS_CHANGE, {
+        match,
+        previousStatus: null,
+      });
+    }
+    return match;
   }
 
   /**
-   * Update match score
+   * Manually set a match score
+   * The score is validated by the sport's scoring engine and recorded as a
+   * score_correction commentary entry, so the score can still be rebuilt
+   * from commentary alone
    * @param {number} id - Match ID
-   * @param {Object} scoreData - Score data
-   * @returns {Promise<Object>} - Updated match object
+   * @param {Object} scoreData - { score } in the sport's shape, or
+   *   { home_score, away_score } for sports scored with plain integers
+   * @returns {Promise<Object|undefined>} - Updated match object, or undefined
+   *   if the match does not exist
+   * @throws {ScoringError} - If the score is invalid for the sport
    */
   static async updateScore(id, {
+    score,
     home_score,
     away_score,
     score_home,
     score_away,
   }) {
-    const resolvedHomeScore = home_score ?? score_home;
-    const resolvedAwayScore = away_score ?? score_away;
+    const match = await Match.getById(id);
+    if (!match) {
+      return undefined;
+    }
+
+    const engine = getScoringEngine(match.sport);
+    const parsed = engine.parseScoreInput({
+      score,
+      home_score: home_score ?? score_home,
+      away_score: away_score ?? score_away,
+    });
+    const totals = engine.totals(parsed);
+
+    const written = await recordCommentary({
+      match_id: id,
+      event_type: SCORE_CORRECTION,
+      message: `Score corrected to ${totals.home}-${totals.away}`,
+      metadata: { score: parsed },
+    });
+    return written?.match;
+  }
+
+  /**
+   * Rebuild a match score from its scoring commentary and store it
+   * Scoring commentary already updates the score as it is written, so this
+   * only repairs a score that has drifted from its commentary. Only writes
+   * when newer commentary was folded in than last time, so a slower
+   * concurrent call can never overwrite a fresher score
+   * @param {number} id - Match ID
+   * @returns {Promise<Object|undefined>} - Match object
+   */
+  static async syncScore(id) {
+    const match = await Match.getById(id);
+    if (!match) {
+      return undefined;
+    }
+
+    const engine = getScoringEngine(match.sport);
+    const entries = await query(
+      `SELECT id, sequence, event_type, team, metadata FROM commentary
+       WHERE match_id = $1 AND event_type = ANY($2::text[])
+       ORDER BY sequence ASC`,
+      [id, [SCORE_CORRECTION, ...engine.scoringEvents]],
+    );
+    const { score, totals } = deriveScore(match, entries.rows);
+    const lastSequence = entries.rows.at(-1)?.sequence ?? 0;
+
     const result = await query(
-      `UPDATE matches 
-       SET home_score = $1, away_score = $2
-       WHERE id = $3
+      `UPDATE matches
+       SET score = $1, home_score = $2, away_score = $3, score_sequence = $4
+       WHERE id = $5 AND score_sequence < $4
        RETURNING *`,
-      [resolvedHomeScore, resolvedAwayScore, id],
+      [score, totals.home, totals.away, lastSequence, id],
     );
-    return result.rows[0];
+    const updated = result.rows[0];
+    if (!updated) {
+      // Someone else already stored this score or a newer one
+      return Match.getById(id);
+    }
+
+    emitMatchEvent(MATCH_EVENTS.SCORE_UPDATE, { match: updated });
+    return updated;
   }
 
   /**
-   * Update match status (scheduled, live, finished)
+   * Update match status following the lifecycle in matchLifecycle.js
+   * Stamps start_time when a scheduled match goes live and end_time when
+   * it reaches a terminal status (completed, cancelled)
    * @param {number} id - Match ID
    * @param {string} status - New status
-   * @returns {Promise<Object>} - Updated match object
+   * @returns {Promise<Object|undefined>} - Updated match object, or undefined
+   *   if the match does not exist
+   * @throws {InvalidTransitionError} - If the transition is not allowed
    */
   static async updateStatus(id, status) {
+    // The transition check and the write happen in one statement against the
+    // locked row, so two concurrent changes cannot both pass the check
     const result = await query(
-      `UPDATE matches 
-       SET status = $1
-       WHERE id = $2
-       RETURNING *`,
-      [status, id],
+      `UPDATE matches m
+       SET status = $1,
+           start_time = CASE
+             WHEN $1 = 'live' AND prev.status = 'scheduled' THEN NOW()
+             ELSE m.start_time
+           END,
+           end_time = CASE
+             WHEN $1 = ANY($4::text[]) THEN NOW()
+             ELSE m.end_time
+           END
+       FROM (SELECT id, status FROM matches WHERE id = $2 FOR UPDATE) prev
+       WHERE m.id = prev.id AND prev.status = ANY($3::text[])
+       RETURNING m.*, prev.status AS previous_status`,
+      [status, id, allowedPreviousStatuses(status), TERMINAL_STATUSES],
     );
-    return result.rows[0];
+
+    const row = result.rows[0];
+    if (!row) {
+      const current = await Match.getById(id);
+      if (!current) {
+        return undefined;
+      }
+      throw new InvalidTransitionError(current.status, status);
+    }
+
+    const { previous_status: previousStatus, ...match } = row;
+    emitMatchEvent(MATCH_EVENTS.STATUS_CHANGE, { match, previousStatus });
+    return match;
   }
 
   /**
    * Delete a match
    * @param {number} id - Match ID
-   * @returns {Promise<boolean>} - Success status
+   * @returns {Promise<boolean>} - True if a match was deleted
    */
   static async delete(id) {
-    await query(`DELETE FROM matches WHERE id = $1`, [id]);
+    const result = await query(
+      `DELETE FROM matches WHERE id = $1 RETURNING *`,
+      [id],
+    );
+    const match = result.rows[0];
+    if (!match) {
+      return false;
+    }
+    emitMatchEvent(MATCH_EVENTS.MATCH_DELETED, { match });
     return true;
   }
 
   /**
-   * Get all commentary for a specific match
+   * Get the latest commentary for a specific match, ordered by (minute, sequence)
    * @param {number} matchId - Match ID
    * @param {number} limit - Maximum number of comments to retrieve
    * @returns {Promise<Array>} - Array of commentary objects
    */
   static async getCommentary(matchId, limit = 50) {
+    // Match time, not insert time: late corrections and backfilled events
+    // land at the minute they happened. Entries without a minute
+    // (pre-match) come first; sequence breaks ties within a minute.
     const result = await query(
-      `SELECT * FROM commentary 
+      `SELECT ${commentaryColumns()} FROM commentary 
        WHERE match_id = $1 
-       ORDER BY created_at DESC 
+       ORDER BY minute DESC NULLS LAST, sequence DESC
        LIMIT $2`,
       [matchId, limit],
     );
@@ -133,18 +437,92 @@ class Match {
   }
 
   /**
-   * Add commentary to a match
-   * @param {Object} commentaryData - Commentary data
-   * @returns {Promise<Object>} - Created commentary object
+   * Get commentary newer than a sequence cursor, oldest first
+   * Used to replay events a client missed while disconnected
+   * @param {number} matchId - Match ID
+   * @param {number} afterSequence - Last sequence the client has seen
+   * @param {number} limit - Maximum number of comments to retrieve
+   * @returns {Promise<Array>} - Array of commentary objects
    */
-  static async addCommentary({ match_id, message, event_type, minute }) {
+  static async getCommentarySince(matchId, afterSequence, limit = 1000) {
     const result = await query(
-      `INSERT INTO commentary (match_id, message, event_type, minute)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [match_id, message, event_type || "general", minute],
+      `SELECT ${commentaryColumns()} FROM commentary
+       WHERE match_id = $1 AND sequence > $2
+       ORDER BY sequence ASC
+       LIMIT $3`,
+      [matchId, afterSequence, limit],
     );
-    return result.rows[0];
+    return result.rows;
+  }
+
+  /**
+   * Load the state a live client (WebSocket or SSE) starts from
+   * With a lastSequence the commentary is everything newer than that cursor;
+   * otherwise (or when too far behind) it is the latest commentaryLimit entries
+   * @param {number} matchId - Match ID
+   * @param {Object} options - Snapshot options
+   * @param {number} options.commentaryLimit - Number of recent entries for a fresh snapshot
+   * @param {number} [options.lastSequence] - Last commentary sequence the client saw
+   * @returns {Promise<Object>} - { match, commentary, resumed }; match is
+   *   undefined if the match does not exist
+   */
+  static async getSnapshot(matchId, { commentaryLimit, lastSequence }) {
+    const match = await Match.getById(matchId);
+    if (!match) {
+      return { match };
+    }
+
+    if (lastSequence !== undefined) {
+      const missed = await Match.getCommentarySince(
+        matchId,
+        lastSequence,
+        MAX_REPLAY_COMMENTARY + 1,
+      );
+      if (missed.length <= MAX_REPLAY_COMMENTARY) {
+        return { match, commentary: missed, resumed: true };
+      }
+    }
+
+    const commentary = await Match.getCommentary(matchId, commentaryLimit);
+    return { match, commentary, resumed: false };
+  }
+
+  /**
+   * Add commentary to a match
+   * The sequence is taken from a per-match counter on the matches row, which
+   * stays locked until commit, so sequences commit in order and a client
+   * resuming from any sequence never skips an entry.
+   * Scoring events (goal, wicket, ...) are checked against the current score
+   * and folded into it in the same transaction, so an entry is never stored
+   * without its score change or the score changed without its entry.
+   * @param {Object} commentaryData - Commentary data
+   * @returns {Promise<Object|undefined>} - Created commentary object, or
+   *   undefined if the match does not exist
+   * @throws {ScoringError} - If a scoring event is invalid for the match
+   */
+  static async addCommentary({
+    match_id,
+    message,
+    event_type,
+    minute,
+    period,
+    actor,
+    team,
+    metadata,
+    tags,
+  }) {
+    const written = await recordCommentary({
+      match_id,
+      message,
+      event_type: event_type || "general",
+      minute,
+      period,
+      actor,
+      team,
+      metadata,
+      tags,
+    });
+    return written?.commentary;
   }
 
   /**
@@ -154,7 +532,7 @@ class Match {
    */
   static async getRecentCommentary(limit = 20) {
     const result = await query(
-      `SELECT c.*, m.home_team, m.away_team 
+      `SELECT ${commentaryColumns("c")}, m.home_team, m.away_team 
        FROM commentary c
        JOIN matches m ON c.match_id = m.id
        ORDER BY c.created_at DESC
@@ -164,8 +542,146 @@ class Match {
     return result.rows;
   }
 
+  /**
+   * Filter and search commentary across matches
+   * Without `search` results are newest first; with it they are ranked by
+   * full-text relevance. Pages are chained with the returned nextCursor.
+   * @param {Object} filters - Search filters (all optional)
+   * @param {number} [filters.matchId] - Only this match
+   * @param {Array<string>} [filters.eventTypes] - Any of these event types
+   * @param {string} [filters.team] - Team (case-insensitive)
+   * @param {string} [filters.actor] - Actor (case-insensitive)
+   * @param {string} [filters.period] - Period, e.g. second_half
+   * @param {Array<string>} [filters.tags] - Must carry all of these tags
+   * @param {Date} [filters.from] - Created at or after
+   * @param {Date} [filters.to] - Created before
+   * @param {number} [filters.minuteFrom] - Match minute at or after
+   * @param {number} [filters.minuteTo] - Match minute at or before
+   * @param {string} [filters.search] - Full-text query (web search syntax)
+   * @param {string} [filters.cursor] - Cursor from a previous page
+   * @param {number} [filters.limit] - Page size
+   * @returns {Promise<Object>} - { rows, nextCursor }; nextCursor is null on
+   *   the last page
+   * @throws {Error} - With statusCode 400 if the cursor is malformed
+   */
+  static async searchCommentary({
+    matchId,
+    eventTypes,
+    team,
+    actor,
+    period,
+    tags,
+    from,
+    to,
+    minuteFrom,
+    minuteTo,
+    search,
+    cursor,
+    limit = 20,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (matchId !== undefined) {
+      conditions.push(`c.match_id = ${param(matchId)}`);
+    }
+    if (eventTypes?.length) {
+      conditions.push(`c.event_type = ANY(${param(eventTypes)}::text[])`);
+    }
+    if (team !== undefined) {
+      conditions.push(`LOWER(c.team) = LOWER(${param(team)})`);
+    }
+    if (actor !== undefined) {
+      conditions.push(`LOWER(c.actor) = LOWER(${param(actor)})`);
+    }
+    if (period !== undefined) {
+      conditions.push(`c.period = ${param(period)}`);
+    }
+    if (tags?.length) {
+      conditions.push(`c.tags @> ${param(tags)}::text[]`);
+    }
+    if (from !== undefined) {
+      conditions.push(`c.created_at >= ${param(from)}`);
+    }
+    if (to !== undefined) {
+      conditions.push(`c.created_at < ${param(to)}`);
+    }
+    if (minuteFrom !== undefined) {
+      conditions.push(`c.minute >= ${param(minuteFrom)}`);
+    }
+    if (minuteTo !== undefined) {
+      conditions.push(`c.minute <= ${param(minuteTo)}`);
+    }
+
+    // created_at goes into the cursor as text: JS Dates drop microseconds
+    let sortColumn = ", c.created_at::text AS sort_key";
+    let orderBy = "c.created_at DESC, c.id DESC";
+    if (search !== undefined) {
+      const tsQuery = `websearch_to_tsquery('english', ${param(search)})`;
+      conditions.push(`c.search_vector @@ ${tsQuery}`);
+      sortColumn = `, ts_rank(c.search_vector, ${tsQuery}) AS rank`;
+      orderBy = "rank DESC, c.id DESC";
+    }
+
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+      const valid =
+        Number.isInteger(position?.id) &&
+        (search !== undefined
+          ? typeof position.rank === "number"
+          : TIMESTAMP_TEXT_PATTERN.test(position?.createdAt));
+      if (!valid) {
+        const error = new Error("Invalid cursor");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (search !== undefined) {
+        const tsQuery = `websearch_to_tsquery('english', ${param(search)})`;
+        conditions.push(
+          `(ts_rank(c.search_vector, ${tsQuery}), c.id) < (${param(position.rank)}::real, ${param(position.id)})`,
+        );
+      } else {
+        conditions.push(
+          `(c.created_at, c.id) < (${param(position.createdAt)}::timestamptz, ${param(position.id)})`,
+        );
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const result = await query(
+      `SELECT ${commentaryColumns("c")}, m.home_team, m.away_team${sortColumn}
+       FROM commentary c
+       JOIN matches m ON c.match_id = m.id
+       ${where}
+       ORDER BY ${orderBy}
+       LIMIT ${param(limit + 1)}`,
+      params,
+    );
+
+    // One extra row tells us whether there is another page
+    const page = result.rows.slice(0, limit);
+    const last = page.at(-1);
+    let nextCursor = null;
+    if (result.rows.length > limit && last) {
+      nextCursor = encodeCursor(
+        search !== undefined
+          ? { rank: last.rank, id: last.id }
+          : { createdAt: last.sort_key, id: last.id },
+      );
+    }
+
+    const rows = page.map(({ sort_key, ...row }) => row);
+    return { rows, nextCursor };
+  }
+
   /**
    * Delete old commentary (cleanup function)
+   * Safe to repeat, and may take a while on a large table
    * @param {number} days - Delete commentary older than X days
    * @returns {Promise<number>} - Number of rows deleted
    */
@@ -174,6 +690,8 @@ class Match {
       `DELETE FROM commentary 
        WHERE created_at < NOW() - INTERVAL '${days} days'
        RETURNING id`,
+      [],
+      { retry: true, timeoutMs: 60000 },
     );
     return result.rowCount;
   }
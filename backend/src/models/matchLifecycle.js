@@ -0,0 +1,104 @@
+// src/models/matchLifecycle.js
+// Match status state machine: allowed statuses and transitions
+
+/**
+ * All match statuses
+ */
+const MATCH_STATUS = Object.freeze({
+  SCHEDULED: "scheduled",
+  POSTPONED: "postponed",
+  LIVE: "live",
+  SUSPENDED: "suspended",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+});
+
+const MATCH_STATUSES = Object.values(MATCH_STATUS);
+
+/**
+ * Statuses a match may be created with
+ */
+const INITIAL_STATUSES = [MATCH_STATUS.SCHEDULED, MATCH_STATUS.LIVE];
+
+/**
+ * Allowed transitions: from -> [to]
+ *
+ *   scheduled -> live | postponed | cancelled
+ *   postponed -> scheduled | cancelled
+ *   live      -> completed | suspended | cancelled
+ *   suspended -> live | cancelled
+ *   completed, cancelled are terminal
+ */
+const TRANSITIONS = Object.freeze({
+  [MATCH_STATUS.SCHEDULED]: [
+    MATCH_STATUS.LIVE,
+    MATCH_STATUS.POSTPONED,
+    MATCH_STATUS.CANCELLED,
+  ],
+  [MATCH_STATUS.POSTPONED]: [MATCH_STATUS.SCHEDULED, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.LIVE]: [
+    MATCH_STATUS.COMPLETED,
+    MATCH_STATUS.SUSPENDED,
+    MATCH_STATUS.CANCELLED,
+  ],
+  [MATCH_STATUS.SUSPENDED]: [MATCH_STATUS.LIVE, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.COMPLETED]: [],
+  [MATCH_STATUS.CANCELLED]: [],
+});
+
+/**
+ * Statuses that end a match; entering one stamps end_time
+ */
+const TERMINAL_STATUSES = [MATCH_STATUS.COMPLETED, MATCH_STATUS.CANCELLED];
+
+/**
+ * Check whether a status is known
+ * @param {string} status - Status to check
+ * @returns {boolean} - True if valid
+ */
+const isValidStatus = (status) => MATCH_STATUSES.includes(status);
+
+/**
+ * Check whether a match may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] ?? []).includes(to);
+
+/**
+ * Statuses from which a match may move into the given status
+ * @param {string} to - Requested status
+ * @returns {Array<string>} - Allowed previous statuses
+ */
+const allowedPreviousStatuses = (to) =>
+  MATCH_STATUSES.filter((from) => canTransition(from, to));
+
+/**
+ * Error thrown when a status change is not allowed
+ * Carries statusCode 409 so errorHandler responds with Conflict
+ */
+class InvalidTransitionError extends Error {
+  /**
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   */
+  constructor(from, to) {
+    super(`Cannot change match status from ${from} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export {
+  MATCH_STATUS,
+  MATCH_STATUSES,
+  INITIAL_STATUSES,
+  TERMINAL_STATUSES,
+  isValidStatus,
+  canTransition,
+  allowedPreviousStatuses,
+  InvalidTransitionError,
+};
@@ -0,0 +1,12 @@
+// src/routes/healthRoutes.js
+// Liveness and readiness probes for the orchestrator and load balancers
+
+import { Router } from "express";
+import * as healthController from "../controllers/healthController.js";
+
+const router = Router();
+
+router.get("/health/live", healthController.getLiveness);
+router.get("/health/ready", healthController.getReadiness);
+
+export default router;
@@ -0,0 +1,62 @@
+// src/routes/matchRoutes.js
+// REST routes for matches and commentary
+
+import { Router } from "express";
+import * as matchController from "../controllers/matchController.js";
+import { requireRole } from "../middleware/auth.js";
+import { writeRateLimit } from "../middleware/rateLimit.js";
+import { validateBody } from "../middleware/validate.js";
+import { ROLES } from "../auth/roles.js";
+
+const router = Router();
+
+// Reads are public; writes need a token with the listed role and share a
+// stricter rate limit
+const commentator = [writeRateLimit, requireRole(ROLES.COMMENTATOR)];
+const admin = [writeRateLimit, requireRole(ROLES.ADMIN)];
+
+// Event streams need a token like WebSocket connections (EventSource
+// cannot set headers, so it is usually passed as ?token=)
+const viewer = requireRole(ROLES.VIEWER);
+
+// Matches
+// NOTE: /matches/live must be registered before /matches/:id
+router.get("/matches", matchController.getAllMatches);
+router.get("/matches/live", matchController.getLiveMatches);
+router.get("/matches/live/stream", viewer, matchController.streamLiveMatches);
+router.get("/matches/:id", matchController.getMatchById);
+router.post(
+  "/matches",
+  admin,
+  validateBody("match.create"),
+  matchController.createMatch,
+);
+router.patch(
+  "/matches/:id/score",
+  commentator,
+  validateBody("match.score"),
+  matchController.updateScore,
+);
+router.patch(
+  "/matches/:id/status",
+  commentator,
+  validateBody("match.status"),
+  matchController.updateStatus,
+);
+router.delete("/matches/:id", admin, matchController.deleteMatch);
+
+// Server-Sent Events, for clients that cannot open a WebSocket
+router.get("/matches/:id/stream", viewer, matchController.streamMatch);
+
+// Commentary
+router.get("/matches/:id/commentary", matchController.getCommentary);
+router.post(
+  "/matches/:id/commentary",
+  commentator,
+  validateBody("commentary.create"),
+  matchController.addCommentary,
+);
+router.get("/commentary", matchController.searchCommentary);
+router.get("/commentary/recent", matchController.getRecentCommentary);
+
+export default router;
@@ -0,0 +1,13 @@
+// src/routes/metricsRoutes.js
+// Monitoring routes
+
+import { Router } from "express";
+import * as metricsController from "../controllers/metricsController.js";
+import { requireMetricsAccess } from "../middleware/auth.js";
+
+const router = Router();
+
+// Connection counts, traffic and database state are not for the public
+router.get("/metrics", requireMetricsAccess, metricsController.getMetrics);
+
+export default router;
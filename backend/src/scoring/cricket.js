@@ -0,0 +1,218 @@
+// src/scoring/cricket.js
+// Cricket scoring engine: innings with runs, wickets and overs
+
+import ScoringError from "./scoringError.js";
+
+/**
+ * Score shape:
+ * {
+ *   innings: [
+ *     { side: "home" | "away", runs, wickets, balls, extras, overs: "12.3" }
+ *   ]
+ * }
+ * The last innings is the one in progress. `balls` counts legal deliveries;
+ * `overs` is derived from it for display.
+ *
+ * Events (team is the batting side):
+ *   innings_start -> a new innings begins for team
+ *   dot_ball      -> legal ball, no runs
+ *   runs          -> legal ball, metadata.runs runs off the bat (0-7)
+ *   boundary      -> legal ball, 4 runs (6 when metadata.six is true)
+ *   six           -> legal ball, 6 runs
+ *   wicket        -> legal ball, one wicket, metadata.runs runs completed (default 0)
+ *   wide, no_ball -> not a legal ball, metadata.runs extras (default 1)
+ *   bye, leg_bye  -> legal ball, metadata.runs extras (default 1)
+ */
+
+const MAX_INNINGS = 4;
+const MAX_WICKETS = 10;
+const BALLS_PER_OVER = 6;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Format legal balls as overs, e.g. 75 -> "12.3"
+ * @param {number} balls - Legal deliveries bowled
+ * @returns {string} - Overs
+ */
+const formatOvers = (balls) =>
+  `${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}`;
+
+const newInnings = (side) => ({
+  side,
+  runs: 0,
+  wickets: 0,
+  balls: 0,
+  extras: 0,
+  overs: formatOvers(0),
+});
+
+/**
+ * Read metadata.runs, falling back to a default
+ * @param {Object} metadata - Event metadata
+ * @param {number} fallback - Default runs
+ * @param {number} max - Largest allowed value
+ * @returns {number} - Runs
+ */
+const readRuns = (metadata, fallback, max = 7) => {
+  const runs = metadata?.runs ?? fallback;
+  if (!isNonNegativeInteger(runs) || runs > max) {
+    throw new ScoringError(`metadata.runs must be an integer from 0 to ${max}`);
+  }
+  return runs;
+};
+
+/**
+ * Work out what a delivery event adds to the innings
+ * @param {string} eventType - Event type
+ * @param {Object} metadata - Event metadata
+ * @returns {Object} - { runs, extras, legal, wickets }
+ */
+const deliveryOutcome = (eventType, metadata) => {
+  switch (eventType) {
+    case "dot_ball":
+      return { runs: 0, extras: 0, legal: true, wickets: 0 };
+    case "runs":
+      return { runs: readRuns(metadata, undefined), extras: 0, legal: true, wickets: 0 };
+    case "boundary":
+      return { runs: metadata?.six ? 6 : 4, extras: 0, legal: true, wickets: 0 };
+    case "six":
+      return { runs: 6, extras: 0, legal: true, wickets: 0 };
+    case "wicket":
+      return { runs: readRuns(metadata, 0), extras: 0, legal: true, wickets: 1 };
+    case "wide":
+    case "no_ball": {
+      const extras = readRuns(metadata, 1);
+      return { runs: extras, extras, legal: false, wickets: 0 };
+    }
+    case "bye":
+    case "leg_bye": {
+      const extras = readRuns(metadata, 1);
+      return { runs: extras, extras, legal: true, wickets: 0 };
+    }
+    default:
+      return null;
+  }
+};
+
+const cricketEngine = {
+  sport: "cricket",
+
+  scoringEvents: [
+    "innings_start",
+    "dot_ball",
+    "runs",
+    "boundary",
+    "six",
+    "wicket",
+    "wide",
+    "no_ball",
+    "bye",
+    "leg_bye",
+  ],
+
+  initialScore() {
+    return { innings: [] };
+  },
+
+  validateScore(score) {
+    if (
+      typeof score !== "object" ||
+      score === null ||
+      !Array.isArray(score.innings) ||
+      score.innings.length > MAX_INNINGS
+    ) {
+      throw new ScoringError(
+        `Cricket score must be { innings: [...] } with at most ${MAX_INNINGS} innings`,
+      );
+    }
+
+    score.innings.forEach((innings, index) => {
+      const valid =
+        typeof innings === "object" &&
+        innings !== null &&
+        (innings.side === "home" || innings.side === "away") &&
+        isNonNegativeInteger(innings.runs) &&
+        isNonNegativeInteger(innings.wickets) &&
+        innings.wickets <= MAX_WICKETS &&
+        isNonNegativeInteger(innings.balls) &&
+        isNonNegativeInteger(innings.extras ?? 0) &&
+        (innings.extras ?? 0) <= innings.runs;
+      if (!valid) {
+        throw new ScoringError(
+          `Invalid innings ${index + 1}: needs side (home|away) and non-negative runs, wickets (max ${MAX_WICKETS}), balls and extras`,
+        );
+      }
+    });
+  },
+
+  parseScoreInput({ score }) {
+    if (score === undefined) {
+      throw new ScoringError("Cricket scores must be sent as a structured score");
+    }
+    this.validateScore(score);
+    return {
+      innings: score.innings.map((innings) => ({
+        side: innings.side,
+        runs: innings.runs,
+        wickets: innings.wickets,
+        balls: innings.balls,
+        extras: innings.extras ?? 0,
+        overs: formatOvers(innings.balls),
+      })),
+    };
+  },
+
+  applyEvent(score, { event_type, side, metadata }) {
+    if (!this.scoringEvents.includes(event_type)) {
+      return score;
+    }
+    if (!side) {
+      throw new ScoringError(`A ${event_type} event needs the batting team`);
+    }
+
+    const innings = [...score.innings];
+    let current = innings[innings.length - 1];
+
+    // A new innings starts explicitly, or implicitly when the other side bats
+    if (event_type === "innings_start" || !current || current.side !== side) {
+      if (innings.length >= MAX_INNINGS) {
+        throw new ScoringError(`A match has at most ${MAX_INNINGS} innings`);
+      }
+      current = newInnings(side);
+      innings.push(current);
+      if (event_type === "innings_start") {
+        return { ...score, innings };
+      }
+    }
+
+    if (current.wickets >= MAX_WICKETS) {
+      throw new ScoringError("The innings is over: all wickets have fallen");
+    }
+
+    const outcome = deliveryOutcome(event_type, metadata);
+    const balls = current.balls + (outcome.legal ? 1 : 0);
+    innings[innings.length - 1] = {
+      ...current,
+      runs: current.runs + outcome.runs,
+      extras: current.extras + outcome.extras,
+      wickets: current.wickets + outcome.wickets,
+      balls,
+      overs: formatOvers(balls),
+    };
+
+    return { ...score, innings };
+  },
+
+  totals(score) {
+    return score.innings.reduce(
+      (totals, innings) => ({
+        ...totals,
+        [innings.side]: totals[innings.side] + innings.runs,
+      }),
+      { home: 0, away: 0 },
+    );
+  },
+};
+
+export default cricketEngine;
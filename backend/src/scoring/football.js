@@ -0,0 +1,89 @@
+// src/scoring/football.js
+// Football scoring engine: goals per side
+
+import ScoringError from "./scoringError.js";
+
+/**
+ * Score shape: { home: { goals }, away: { goals } }
+ *
+ * Events (team is the side the event belongs to):
+ *   goal           -> team scores
+ *   own_goal       -> team concedes (the other side is credited)
+ *   goal_cancelled -> a goal by team is taken back (e.g. VAR)
+ */
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const otherSide = (side) => (side === "home" ? "away" : "home");
+
+const addGoals = (score, side, delta) => ({
+  ...score,
+  [side]: { ...score[side], goals: score[side].goals + delta },
+});
+
+const footballEngine = {
+  sport: "football",
+
+  scoringEvents: ["goal", "own_goal", "goal_cancelled"],
+
+  initialScore() {
+    return { home: { goals: 0 }, away: { goals: 0 } };
+  },
+
+  validateScore(score) {
+    const valid = ["home", "away"].every(
+      (side) =>
+        typeof score?.[side] === "object" &&
+        score[side] !== null &&
+        isNonNegativeInteger(score[side].goals),
+    );
+    if (!valid) {
+      throw new ScoringError(
+        "Football score must be { home: { goals }, away: { goals } } with non-negative integers",
+      );
+    }
+  },
+
+  parseScoreInput({ score, home_score, away_score }) {
+    const parsed = score ?? {
+      home: { goals: home_score },
+      away: { goals: away_score },
+    };
+    this.validateScore(parsed);
+    return {
+      home: { goals: parsed.home.goals },
+      away: { goals: parsed.away.goals },
+    };
+  },
+
+  applyEvent(score, { event_type, side }) {
+    if (!this.scoringEvents.includes(event_type)) {
+      return score;
+    }
+    if (!side) {
+      throw new ScoringError(`A ${event_type} event needs the team it belongs to`);
+    }
+
+    switch (event_type) {
+      case "goal":
+        return addGoals(score, side, 1);
+
+      case "own_goal":
+        return addGoals(score, otherSide(side), 1);
+
+      case "goal_cancelled":
+        if (score[side].goals === 0) {
+          throw new ScoringError("No goal to cancel for this team");
+        }
+        return addGoals(score, side, -1);
+
+      default:
+        return score;
+    }
+  },
+
+  totals(score) {
+    return { home: score.home.goals, away: score.away.goals };
+  },
+};
+
+export default footballEngine;
@@ -0,0 +1,61 @@
+// src/scoring/generic.js
+// Fallback scoring engine: one integer per side
+
+import ScoringError from "./scoringError.js";
+
+/**
+ * Score shape: { home: number, away: number }
+ *
+ * Events:
+ *   score -> side gains metadata.points (default 1)
+ */
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const genericEngine = {
+  sport: "generic",
+
+  scoringEvents: ["score"],
+
+  initialScore() {
+    return { home: 0, away: 0 };
+  },
+
+  validateScore(score) {
+    if (
+      typeof score !== "object" ||
+      score === null ||
+      !isNonNegativeInteger(score.home) ||
+      !isNonNegativeInteger(score.away)
+    ) {
+      throw new ScoringError(
+        "Score must be { home, away } with non-negative integers",
+      );
+    }
+  },
+
+  parseScoreInput({ score, home_score, away_score }) {
+    const parsed = score ?? { home: home_score, away: away_score };
+    this.validateScore(parsed);
+    return { home: parsed.home, away: parsed.away };
+  },
+
+  applyEvent(score, { event_type, side, metadata }) {
+    if (event_type !== "score") {
+      return score;
+    }
+    if (!side) {
+      throw new ScoringError("A score event needs the scoring team");
+    }
+    const points = metadata?.points ?? 1;
+    if (!Number.isInteger(points) || points < 1) {
+      throw new ScoringError("metadata.points must be a positive integer");
+    }
+    return { ...score, [side]: score[side] + points };
+  },
+
+  totals(score) {
+    return { home: score.home, away: score.away };
+  },
+};
+
+export default genericEngine;
@@ -0,0 +1,151 @@
+// src/scoring/index.js
+// Scoring engine registry and helpers shared by every sport
+
+import footballEngine from "./football.js";
+import cricketEngine from "./cricket.js";
+import genericEngine from "./generic.js";
+import ScoringError from "./scoringError.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ module: "scoring" });
+
+/**
+ * Scoring engines by sport
+ *
+ * Each engine is a plain object with:
+ *   sport                  - Sport name
+ *   scoringEvents          - Commentary event types that change the score
+ *   initialScore()         - Score of a match that has not started
+ *   validateScore(score)   - Throws ScoringError if the score shape is wrong
+ *   parseScoreInput(body)  - Builds a score from a manual update request
+ *   applyEvent(score, evt) - Returns the score after a commentary event
+ *                            (evt: { event_type, side, metadata }); pure
+ *   totals(score)          - { home, away } for the home_score/away_score columns
+ *
+ * Sports without an engine use the generic one (one integer per side).
+ */
+const engines = new Map([
+  [footballEngine.sport, footballEngine],
+  [cricketEngine.sport, cricketEngine],
+]);
+
+/**
+ * Commentary event that overwrites the score with metadata.score
+ * Manual score updates are recorded this way so the score can always be
+ * rebuilt from commentary alone
+ */
+const SCORE_CORRECTION = "score_correction";
+
+/**
+ * Get the scoring engine for a sport
+ * @param {string|null} sport - Sport name
+ * @returns {Object} - Scoring engine
+ */
+const getScoringEngine = (sport) =>
+  engines.get(sport?.toLowerCase()) ?? genericEngine;
+
+/**
+ * Sports with a dedicated scoring engine
+ * @returns {Array<string>} - Sport names
+ */
+const getSupportedSports = () => Array.from(engines.keys());
+
+/**
+ * Map a commentary team to a side of the match
+ * Accepts "home"/"away" or the team name as stored on the match
+ * @param {Object} match - Match row
+ * @param {string|null} team - Team from the commentary event
+ * @returns {string|null} - "home", "away" or null
+ */
+const resolveSide = (match, team) => {
+  if (!team) {
+    return null;
+  }
+  const normalized = team.trim().toLowerCase();
+  if (normalized === "home" || normalized === match.home_team?.toLowerCase()) {
+    return "home";
+  }
+  if (normalized === "away" || normalized === match.away_team?.toLowerCase()) {
+    return "away";
+  }
+  return null;
+};
+
+/**
+ * Check whether a commentary event changes the score
+ * @param {Object} match - Match row
+ * @param {string} eventType - Commentary event type
+ * @returns {boolean} - True for scoring events and score corrections
+ */
+const isScoringEvent = (match, eventType) =>
+  eventType === SCORE_CORRECTION ||
+  getScoringEngine(match.sport).scoringEvents.includes(eventType);
+
+/**
+ * Apply one commentary entry to a score
+ * @param {Object} match - Match row (for sport and team names)
+ * @param {Object} score - Current score
+ * @param {Object} entry - Commentary entry { event_type, team, metadata }
+ * @returns {Object} - New score
+ * @throws {ScoringError} - If the event is invalid for this sport or score
+ */
+const applyCommentary = (match, score, entry) => {
+  const engine = getScoringEngine(match.sport);
+
+  if (entry.event_type === SCORE_CORRECTION) {
+    return engine.parseScoreInput({ score: entry.metadata?.score });
+  }
+
+  const side = resolveSide(match, entry.team);
+  if (entry.team && !side && engine.scoringEvents.includes(entry.event_type)) {
+    throw new ScoringError(
+      `Unknown team "${entry.team}": use home, away or one of the match's team names`,
+    );
+  }
+  return engine.applyEvent(score, {
+    event_type: entry.event_type,
+    side,
+    metadata: entry.metadata,
+  });
+};
+
+/**
+ * Rebuild a match score from its commentary, oldest entry first
+ * Entries that no longer apply (e.g. after an earlier correction) are
+ * skipped with a warning so one bad row cannot freeze the scoreboard
+ * @param {Object} match - Match row
+ * @param {Array} commentary - Commentary entries in sequence order
+ * @returns {Object} - { score, totals }
+ */
+const deriveScore = (match, commentary) => {
+  const engine = getScoringEngine(match.sport);
+
+  const score = commentary.reduce((current, entry) => {
+    if (!isScoringEvent(match, entry.event_type)) {
+      return current;
+    }
+    try {
+      return applyCommentary(match, current, entry);
+    } catch (error) {
+      log.warn("Skipping commentary that does not apply to the score", {
+        commentaryId: entry.id,
+        matchId: match.id,
+        error: error.message,
+      });
+      return current;
+    }
+  }, engine.initialScore());
+
+  return { score, totals: engine.totals(score) };
+};
+
+export {
+  SCORE_CORRECTION,
+  ScoringError,
+  getScoringEngine,
+  getSupportedSports,
+  resolveSide,
+  isScoringEvent,
+  applyCommentary,
+  deriveScore,
+};
@@ -0,0 +1,19 @@
+// src/scoring/scoringError.js
+// Error thrown by scoring engines for invalid scores and events
+
+/**
+ * Invalid score or scoring event
+ * Carries statusCode 400 so errorHandler responds with Bad Request
+ */
+class ScoringError extends Error {
+  /**
+   * @param {string} message - What is wrong with the score or event
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ScoringError";
+    this.statusCode = 400;
+  }
+}
+
+export default ScoringError;
@@ -0,0 +1,158 @@
+// src/server.js
+// Application entry point: wires HTTP, WebSocket and the database pool together
+
+import http from "http";
+import app from "./app.js";
+import { query, pool } from "./config/db.js";
+import wsServer from "./websocket/wsServer.js";
+import { clients } from "./websocket/wsHandlers.js";
+import { closeAllStreams } from "./sse/sseHandlers.js";
+import { startEventRelay, stopEventRelay } from "./events/pgEventRelay.js";
+import { markShuttingDown } from "./health/readiness.js";
+import { assertAuthConfigured } from "./auth/token.js";
+import { logger } from "./utils/logger.js";
+
+const log = logger.child({ module: "server" });
+
+const PORT = parseInt(process.env.PORT) || 5000;
+
+// Upper bound on how long closing may take, after the drain delay, before
+// we force exit
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000;
+
+// How long to keep serving after readiness turns "not ready", so load
+// balancers stop routing here before connections are closed
+const SHUTDOWN_DRAIN_DELAY = Number.isInteger(
+  parseInt(process.env.SHUTDOWN_DRAIN_DELAY),
+)
+  ? parseInt(process.env.SHUTDOWN_DRAIN_DELAY)
+  : process.env.NODE_ENV === "development"
+    ? 0
+    : 5000;
+
+let httpServer;
+let wss;
+let shuttingDown = false;
+
+/**
+ * Check the database is reachable before accepting traffic
+ */
+const checkDatabase = async () => {
+  await query("SELECT 1");
+  log.info("Database connection verified");
+};
+
+/**
+ * Start the HTTP server and resolve once it is listening
+ * @param {http.Server} server - HTTP server instance
+ * @returns {Promise<void>}
+ */
+const listen = (server) =>
+  new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(PORT, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+/**
+ * Close the HTTP server and resolve once in-flight requests have finished
+ * @param {http.Server} server - HTTP server instance
+ * @returns {Promise<void>}
+ */
+const closeHttpServer = (server) =>
+  new Promise((resolve) => {
+    server.close(() => resolve());
+    // Drop keep-alive sockets that have no request in flight
+    server.closeIdleConnections();
+  });
+
+/**
+ * Start everything in order: auth configuration check, database check,
+ * event relay, HTTP server, WebSocket server
+ */
+const start = async () => {
+  // Without a secret no WebSocket connection or write request could succeed
+  assertAuthConfigured();
+
+  await checkDatabase();
+
+  // Share match events with other instances behind the load balancer
+  await startEventRelay();
+
+  httpServer = http.createServer(app);
+  wss = wsServer.initWebSocketServer(httpServer);
+
+  await listen(httpServer);
+  log.info("Server listening", { port: PORT });
+};
+
+/**
+ * Exit straight away, closing WebSocket connections without a handshake
+ * @param {number} code - Exit code
+ */
+const forceExit = (code) => {
+  clients.forEach((clientData, ws) => ws.terminate());
+  process.exit(code);
+};
+
+/**
+ * Gracefully shut down: report not ready, keep serving for
+ * SHUTDOWN_DRAIN_DELAY while load balancers take the instance out, then
+ * stop accepting traffic, drain WebSocket clients, end SSE streams, stop
+ * the event relay and close the database pool.
+ * Forces exit if the whole shutdown, drain delay included, takes longer
+ * than SHUTDOWN_DRAIN_DELAY + SHUTDOWN_TIMEOUT, or when a second signal
+ * arrives (e.g. Ctrl-C pressed twice).
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    log.warn("Received second signal, forcing exit", { signal });
+    forceExit(1);
+    return;
+  }
+  shuttingDown = true;
+  markShuttingDown();
+  log.info("Shutting down", { signal, drainDelayMs: SHUTDOWN_DRAIN_DELAY });
+
+  const budgetMs = SHUTDOWN_DRAIN_DELAY + SHUTDOWN_TIMEOUT;
+  const forceExitTimer = setTimeout(() => {
+    log.error("Shutdown did not finish in time, forcing exit", {
+      timeoutMs: budgetMs,
+    });
+    forceExit(1);
+  }, budgetMs);
+  forceExitTimer.unref();
+
+  if (SHUTDOWN_DRAIN_DELAY > 0) {
+    await new Promise((resolve) => setTimeout(resolve, SHUTDOWN_DRAIN_DELAY));
+  }
+
+  try {
+    // Open event streams would otherwise keep the HTTP server from closing
+    closeAllStreams();
+    await Promise.all([
+      httpServer ? closeHttpServer(httpServer) : null,
+      wss ? wsServer.shutdownWebSocketServer(wss) : null,
+    ]);
+    await stopEventRelay();
+    await pool.end();
+    log.info("Database pool closed");
+    clearTimeout(forceExitTimer);
+    process.exit(0);
+  } catch (error) {
+    log.error("Error during shutdown", { err: error });
+    process.exit(1);
+  }
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+start().catch(async (error) => {
+  log.error("Failed to start server", { err: error });
+  await pool.end().catch(() => {});
+  process.exit(1);
+});
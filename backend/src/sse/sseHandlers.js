@@ -0,0 +1,560 @@
+// src/sse/sseHandlers.js
+// Server-Sent Events streams for clients that cannot open a WebSocket
+
+import crypto from "crypto";
+import Match from "../models/match.js";
+import { toWireFormat, encodeJson } from "../websocket/wsEncoding.js";
+import { logger } from "../utils/logger.js";
+import { createCounter, createGauge } from "../metrics/metrics.js";
+
+const log = logger.child({ module: "sse" });
+
+/**
+ * Streams send the same JSON messages as the WebSocket API in the `data`
+ * field (no `event:` name), so EventSource.onmessage sees every message.
+ *
+ * Match stream (/matches/:id/stream)
+ *   Commentary events carry their sequence as the event id. A reconnect
+ *   with Last-Event-ID replays the commentary after it, like a WebSocket
+ *   subscribe with lastSequence.
+ *
+ * Live stream (/matches/live/stream)
+ *   Events for every live match plus live_matches_changed. Event ids index
+ *   a short in-memory log of this instance; a reconnect the log cannot
+ *   cover gets a fresh snapshot of the live matches instead.
+ */
+
+// Interval between keep-alive comments, short enough for idle proxy timeouts
+const KEEPALIVE_INTERVAL =
+  parseInt(process.env.SSE_KEEPALIVE_INTERVAL) || 15000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+// Number of live stream events kept for Last-Event-ID replay
+const LIVE_EVENT_LOG_SIZE = 500;
+
+// Disconnect clients with more than this much unsent data
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Open streams and their metadata
+ * Structure: Map<Response, { id, userId, role, matchId, pending, connectedAt }>
+ * matchId is null for the live stream. pending buffers events while the
+ * opening snapshot loads and is null once the stream is flowing.
+ */
+const streams = new Map();
+
+/**
+ * Match streams by match
+ * Structure: Map<matchId, Set<Response>>
+ */
+const matchStreams = new Map();
+
+/**
+ * Live streams
+ * Structure: Set<Response>
+ */
+const liveStreams = new Set();
+
+// Matches whose events go to the live stream, loaded when a live stream
+// opens and kept current by live_matches_changed broadcasts
+let liveMatchIds = new Set();
+let liveMatchIdsLoaded = false;
+
+// Live stream event log: [{ id, message }], oldest first
+const liveEventLog = [];
+const liveEventPrefix = crypto.randomUUID().slice(0, 8);
+let liveEventCounter = 0;
+
+let streamIdCounter = 0;
+let keepAliveTimer = null;
+
+createGauge({
+  name: "sportz_sse_connected_streams",
+  help: "Open server-sent event streams",
+  collect: () => streams.size,
+});
+
+/**
+ * Streams disconnected because they were not keeping up
+ */
+const slowConsumerDisconnects = createCounter({
+  name: "sportz_sse_slow_consumer_disconnects_total",
+  help: "Server-sent event streams disconnected for too much unsent data",
+});
+
+/**
+ * Format one SSE event
+ * @param {string} message - JSON message (contains no newlines)
+ * @param {string|number} [id] - Event id for Last-Event-ID
+ * @returns {string} - Event frame
+ */
+const formatEvent = (message, id) =>
+  id === undefined
+    ? `data: ${message}\n\n`
+    : `id: ${id}\ndata: ${message}\n\n`;
+
+/**
+ * Write a frame to a stream, disconnecting clients that are not keeping up
+ * Skipping a frame instead would lose it for good: the next event id the
+ * client sees moves its Last-Event-ID past it. Disconnected clients
+ * reconnect with the last id they did receive and catch up from there.
+ * @param {Response} res - Stream response
+ * @param {string} frame - Raw SSE frame
+ * @returns {boolean} - True if written
+ */
+const write = (res, frame) => {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+  if (res.writableLength > MAX_BUFFERED_BYTES) {
+    log.warn("Disconnecting slow SSE client", {
+      streamId: streams.get(res)?.id,
+    });
+    slowConsumerDisconnects.inc();
+    removeStream(res);
+    res.destroy();
+    return false;
+  }
+  res.write(frame);
+  return true;
+};
+
+/**
+ * Send an event to a stream, or buffer it while the snapshot loads
+ * @param {Response} res - Stream response
+ * @param {Object} data - Message object in wire format
+ * @param {string} message - JSON message
+ * @param {string|number} [id] - Event id
+ */
+const deliver = (res, data, message, id) => {
+  const pending = streams.get(res)?.pending;
+  if (pending) {
+    pending.push({ data, message, id });
+    return;
+  }
+  write(res, formatEvent(message, id));
+};
+
+/**
+ * Send a keep-alive comment to every flowing stream
+ */
+const sendKeepAlives = () => {
+  streams.forEach((stream, res) => {
+    if (!stream.pending) {
+      write(res, `: keep-alive\n\n`);
+    }
+  });
+};
+
+/**
+ * Register a stream and start buffering its events
+ * @param {Request} req - HTTP request (req.user set by requireRole)
+ * @param {Response} res - HTTP response
+ * @param {number|null} matchId - Match ID, or null for the live stream
+ * @returns {Object} - Stream metadata
+ */
+const addStream = (req, res, matchId) => {
+  const stream = {
+    id: `sse-${++streamIdCounter}`,
+    userId: req.user.id,
+    role: req.user.role,
+    matchId,
+    pending: [],
+    connectedAt: new Date(),
+  };
+  streams.set(res, stream);
+
+  if (matchId === null) {
+    liveStreams.add(res);
+  } else {
+    if (!matchStreams.has(matchId)) {
+      matchStreams.set(matchId, new Set());
+    }
+    matchStreams.get(matchId).add(res);
+  }
+
+  if (!keepAliveTimer) {
+    keepAliveTimer = setInterval(sendKeepAlives, KEEPALIVE_INTERVAL);
+    keepAliveTimer.unref();
+  }
+
+  res.on("close", () => removeStream(res));
+  return stream;
+};
+
+/**
+ * Forget a stream once the client has gone or the stream failed to open
+ * @param {Response} res - Stream response
+ */
+const removeStream = (res) => {
+  const stream = streams.get(res);
+  if (!stream) {
+    return;
+  }
+  streams.delete(res);
+
+  if (stream.matchId === null) {
+    liveStreams.delete(res);
+  } else if (matchStreams.has(stream.matchId)) {
+    matchStreams.get(stream.matchId).delete(res);
+
+    // Clean up empty stream sets
+    if (matchStreams.get(stream.matchId).size === 0) {
+      matchStreams.delete(stream.matchId);
+    }
+  }
+
+  if (streams.size === 0) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+
+  log.info("SSE client disconnected", { streamId: stream.id });
+};
+
+/**
+ * Send the response headers that turn the request into an event stream
+ * @param {Response} res - HTTP response
+ */
+const startEventStream = (res) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+};
+
+/**
+ * Check whether the client went away while the snapshot was loading
+ * @param {Response} res - Stream response
+ * @returns {boolean} - True if the stream should not be started
+ */
+const isAbandoned = (res) => !streams.has(res) || res.destroyed;
+
+/**
+ * Stream events for one match
+ * Sends a snapshot first, then live events. Nothing is written if the
+ * match does not exist, so the caller can still send an error response.
+ * @param {Request} req - HTTP request
+ * @param {Response} res - HTTP response
+ * @param {number} matchId - Match ID
+ * @param {Object} options - Stream options
+ * @param {number} options.commentaryLimit - Number of recent entries for a fresh snapshot
+ * @param {number} [options.lastSequence] - Resume cursor from Last-Event-ID
+ * @returns {Promise<boolean>} - False if the match does not exist
+ */
+const openMatchStream = async (
+  req,
+  res,
+  matchId,
+  { commentaryLimit, lastSequence },
+) => {
+  const stream = addStream(req, res, matchId);
+
+  let snapshot;
+  try {
+    snapshot = await Match.getSnapshot(matchId, {
+      commentaryLimit,
+      lastSequence,
+    });
+  } catch (error) {
+    removeStream(res);
+    throw error;
+  }
+
+  const { match, commentary, resumed } = snapshot;
+  if (!match) {
+    removeStream(res);
+    return false;
+  }
+  if (isAbandoned(res)) {
+    return true;
+  }
+
+  const pending = stream.pending;
+  stream.pending = null;
+
+  log.info("SSE streaming match", { streamId: stream.id, matchId });
+
+  // The cursor the client resumes from if it reconnects right away.
+  // Commentary is loaded after the match row, so a fresh snapshot can hold
+  // entries newer than match.last_commentary_sequence; the cursor must not
+  // fall below them or a reconnect would replay them.
+  const cursor = resumed
+    ? (commentary.at(-1)?.sequence ?? lastSequence)
+    : Math.max(
+        match.last_commentary_sequence,
+        ...commentary.map((entry) => entry.sequence),
+      );
+
+  startEventStream(res);
+  write(
+    res,
+    formatEvent(
+      encodeJson(
+        toWireFormat({
+          type: "snapshot",
+          matchId,
+          resumed,
+          data: { match, commentary },
+        }),
+      ),
+      cursor,
+    ),
+  );
+
+  // Flush events that arrived while loading, skipping commentary the
+  // client already has (from the snapshot or from before it reconnected)
+  const sentIds = new Set(commentary.map((entry) => entry.id));
+  pending.forEach(({ data, message, id }) => {
+    if (
+      data.type === "commentary" &&
+      (sentIds.has(data.data?.id) ||
+        (resumed && data.data?.sequence <= lastSequence))
+    ) {
+      return;
+    }
+    write(res, formatEvent(message, id));
+  });
+
+  return true;
+};
+
+/**
+ * Parse a live stream event id
+ * @param {string|undefined} lastEventId - Last-Event-ID from the client
+ * @returns {number|null} - Position in this instance's log, or null
+ */
+const parseLiveEventId = (lastEventId) => {
+  const [prefix, counter] = String(lastEventId ?? "").split("-");
+  const position = Number(counter);
+  return prefix === liveEventPrefix && Number.isInteger(position)
+    ? position
+    : null;
+};
+
+/**
+ * Stream events for all live matches
+ * Replays the in-memory log after Last-Event-ID when it still covers it,
+ * otherwise starts with a snapshot of the live matches
+ * @param {Request} req - HTTP request
+ * @param {Response} res - HTTP response
+ * @param {Object} options - Stream options
+ * @param {string} [options.lastEventId] - Last-Event-ID from the client
+ */
+const openLiveStream = async (req, res, { lastEventId }) => {
+  const position = parseLiveEventId(lastEventId);
+  const oldest = liveEventLog.length
+    ? parseLiveEventId(liveEventLog[0].id)
+    : liveEventCounter + 1;
+
+  if (
+    liveMatchIdsLoaded &&
+    position !== null &&
+    position >= oldest - 1 &&
+    position <= liveEventCounter
+  ) {
+    const stream = addStream(req, res, null);
+    stream.pending = null;
+    log.info("SSE resumed live stream", { streamId: stream.id, lastEventId });
+
+    startEventStream(res);
+    liveEventLog
+      .filter((event) => parseLiveEventId(event.id) > position)
+      .forEach(({ id, message }) => write(res, formatEvent(message, id)));
+    return;
+  }
+
+  const stream = addStream(req, res, null);
+  const cursor = `${liveEventPrefix}-${liveEventCounter}`;
+
+  let matches;
+  try {
+    matches = await Match.getLiveMatches();
+  } catch (error) {
+    removeStream(res);
+    throw error;
+  }
+
+  // Anything that went live or ended while loading is in the buffer
+  const pending = stream.pending;
+  liveMatchIds = new Set(matches.map((match) => Number(match.id)));
+  liveMatchIdsLoaded = true;
+  pending
+    .filter(({ data }) => data.type === "live_matches_changed")
+    .forEach(({ data }) => trackLiveMatch(data));
+
+  if (isAbandoned(res)) {
+    return;
+  }
+  stream.pending = null;
+
+  log.info("SSE streaming live matches", { streamId: stream.id });
+
+  startEventStream(res);
+  write(
+    res,
+    formatEvent(
+      encodeJson(
+        toWireFormat({
+          type: "snapshot",
+          resumed: false,
+          data: { matches },
+        }),
+      ),
+      cursor,
+    ),
+  );
+  pending.forEach(({ message, id }) => write(res, formatEvent(message, id)));
+};
+
+/**
+ * Record a live_matches_changed message in the live match set
+ * @param {Object} data - live_matches_changed message
+ */
+const trackLiveMatch = (data) => {
+  if (data.action === "added") {
+    liveMatchIds.add(data.matchId);
+  } else if (data.action === "removed") {
+    liveMatchIds.delete(data.matchId);
+  }
+};
+
+/**
+ * Send a message to every live stream and remember it for resume
+ * @param {Object} data - Message object in wire format
+ * @param {string} message - JSON message
+ */
+const sendToLiveStreams = (data, message) => {
+  const id = `${liveEventPrefix}-${++liveEventCounter}`;
+  liveEventLog.push({ id, message });
+  if (liveEventLog.length > LIVE_EVENT_LOG_SIZE) {
+    liveEventLog.shift();
+  }
+
+  liveStreams.forEach((res) => deliver(res, data, message, id));
+};
+
+/**
+ * Stream a match event to its match streams and, if the match is live,
+ * to the live streams
+ * @param {number} matchId - Match ID
+ * @param {Object} data - Data to send
+ */
+const streamToMatch = (matchId, data) => {
+  const wireData = toWireFormat(data);
+  const message = encodeJson(wireData);
+
+  // Commentary ids are the per-match resume cursor
+  const id =
+    wireData.type === "commentary"
+      ? wireData.data?.sequence
+      : undefined;
+  matchStreams
+    .get(matchId)
+    ?.forEach((res) => deliver(res, wireData, message, id));
+
+  if (liveMatchIds.has(matchId)) {
+    sendToLiveStreams(wireData, message);
+  }
+};
+
+/**
+ * Stream a message to every open stream
+ * @param {Object} data - Data to send
+ */
+const streamToAll = (data) => {
+  const wireData = toWireFormat(data);
+  const message = encodeJson(wireData);
+
+  if (wireData.type === "live_matches_changed") {
+    trackLiveMatch(wireData);
+  }
+
+  matchStreams.forEach((matchSet) =>
+    matchSet.forEach((res) => deliver(res, wireData, message)),
+  );
+  sendToLiveStreams(wireData, message);
+};
+
+/**
+ * End every stream, telling clients the server is going away
+ * EventSource clients reconnect on their own, ideally to another instance
+ */
+const closeAllStreams = () => {
+  const message = encodeJson({
+    type: "server_shutdown",
+    message: "Server is shutting down",
+  });
+
+  Array.from(streams.keys()).forEach((res) => {
+    if (!streams.get(res).pending) {
+      write(res, formatEvent(message));
+    }
+    removeStream(res);
+    res.end();
+  });
+};
+
+/**
+ * Make every stream catch up from the database
+ * For events that were missed without any stream falling behind, e.g.
+ * while the event relay was reconnecting. Each flowing stream gets a
+ * resync_required message and is ended; EventSource reconnects with
+ * Last-Event-ID and match streams replay the commentary after it. The live
+ * event log is missing the same events, so it is dropped and reconnecting
+ * live streams get a fresh snapshot.
+ * @param {string} reason - Machine-readable cause
+ */
+const resyncAllStreams = (reason) => {
+  liveEventLog.length = 0;
+  liveMatchIdsLoaded = false;
+
+  const frame = formatEvent(
+    encodeJson({
+      type: "resync_required",
+      reason,
+      message: "Updates may have been missed; reconnecting to catch up",
+    }),
+  );
+  Array.from(streams.keys()).forEach((res) => {
+    // Streams still loading their snapshot start after the gap
+    if (streams.get(res).pending) {
+      return;
+    }
+    write(res, frame);
+    removeStream(res);
+    res.end();
+  });
+};
+
+/**
+ * Get statistics about open streams
+ * @returns {Object} - Stream statistics
+ */
+const getSseStats = () => ({
+  totalClients: streams.size,
+  liveStreamClients: liveStreams.size,
+  subscriptionDetails: Array.from(matchStreams.entries()).map(
+    ([matchId, matchSet]) => ({
+      matchId,
+      subscriberCount: matchSet.size,
+    }),
+  ),
+});
+
+export {
+  openMatchStream,
+  openLiveStream,
+  streamToMatch,
+  streamToAll,
+  closeAllStreams,
+  resyncAllStreams,
+  getSseStats,
+};
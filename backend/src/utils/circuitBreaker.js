@@ -0,0 +1,131 @@
+// src/utils/circuitBreaker.js
+// Circuit breaker: stop calling a failing dependency for a while
+
+/**
+ * Breaker states
+ *   closed    - Calls go through; consecutive failures are counted
+ *   open      - Calls are refused until the cooldown has passed
+ *   half_open - One trial call goes through; its outcome closes or reopens
+ *               the breaker, and other calls are refused meanwhile
+ */
+const CIRCUIT_STATES = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+/**
+ * Create a circuit breaker
+ * Callers ask permission with tryAcquire() before each call and report its
+ * outcome with recordSuccess(), recordFailure() or release(). Only failures
+ * that mean the dependency is unavailable should be recorded; a call
+ * rejected for bad input shows the dependency is up and counts as a
+ * success.
+ * @param {Object} options - Breaker settings
+ * @param {number} options.failureThreshold - Consecutive failures that
+ *   open the breaker
+ * @param {number} options.cooldownMs - How long it stays open before a
+ *   trial call is let through
+ * @param {Function} [options.onStateChange] - (state, previousState) => void
+ * @returns {Object} - { tryAcquire, recordSuccess, recordFailure, release,
+ *   getState, retryAfterMs }
+ */
+const createCircuitBreaker = ({
+  failureThreshold,
+  cooldownMs,
+  onStateChange = () => {},
+}) => {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const transition = (nextState) => {
+    if (nextState === state) {
+      return;
+    }
+    const previousState = state;
+    state = nextState;
+    onStateChange(state, previousState);
+  };
+
+  const open = () => {
+    openedAt = Date.now();
+    trialInFlight = false;
+    transition(CIRCUIT_STATES.OPEN);
+  };
+
+  /**
+   * Time until a trial call will be let through
+   * @returns {number} - Milliseconds (0 unless the breaker is open)
+   */
+  const retryAfterMs = () =>
+    state === CIRCUIT_STATES.OPEN
+      ? Math.max(0, openedAt + cooldownMs - Date.now())
+      : 0;
+
+  /**
+   * Ask to make a call
+   * Moves an open breaker to half-open once the cooldown has passed
+   * @returns {boolean} - True if the call may go ahead
+   */
+  const tryAcquire = () => {
+    if (state === CIRCUIT_STATES.OPEN && retryAfterMs() === 0) {
+      transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Report a call that reached the dependency
+   * Outcomes of calls started before the breaker opened are ignored while
+   * it is open; only the trial call closes it
+   */
+  const recordSuccess = () => {
+    if (state === CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    failures = 0;
+    trialInFlight = false;
+    transition(CIRCUIT_STATES.CLOSED);
+  };
+
+  /**
+   * Report a call that failed because the dependency is unavailable
+   */
+  const recordFailure = () => {
+    if (state === CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    failures++;
+    if (state === CIRCUIT_STATES.HALF_OPEN || failures >= failureThreshold) {
+      open();
+    }
+  };
+
+  /**
+   * Report a call whose outcome says nothing about the dependency (e.g. it
+   * never reached it); a half-open breaker lets the next call be the trial
+   */
+  const release = () => {
+    trialInFlight = false;
+  };
+
+  return {
+    tryAcquire,
+    recordSuccess,
+    recordFailure,
+    release,
+    getState: () => state,
+    retryAfterMs,
+  };
+};
+
+export { CIRCUIT_STATES, createCircuitBreaker };
@@ -0,0 +1,147 @@
+// src/utils/logger.js
+// Structured JSON logger with levels and per-request correlation ids
+
+import { AsyncLocalStorage } from "async_hooks";
+import os from "os";
+
+/**
+ * Log levels, lowest first
+ * LOG_LEVEL picks the lowest level written (default: debug when
+ * NODE_ENV=development, info otherwise); "silent" writes nothing
+ */
+const LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+});
+
+/**
+ * Resolve the configured level
+ * @param {string|undefined} value - LOG_LEVEL
+ * @returns {string} - Level name
+ */
+const resolveLevel = (value) => {
+  const level = value?.trim().toLowerCase();
+  if (Object.hasOwn(LEVELS, level ?? "")) {
+    return level;
+  }
+  return process.env.NODE_ENV === "development" ? "debug" : "info";
+};
+
+const minLevel = LEVELS[resolveLevel(process.env.LOG_LEVEL)];
+
+/**
+ * Fields on every line, so lines from several instances can be told apart
+ */
+const BASE_FIELDS = { pid: process.pid, hostname: os.hostname() };
+
+/**
+ * Correlation fields of the current HTTP request or WebSocket connection
+ * (e.g. { requestId } or { clientId }), carried across awaits
+ */
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with correlation fields added to every line it logs,
+ * including lines logged by anything it awaits (e.g. query() in
+ * config/db.js)
+ * @param {Object} fields - Correlation fields
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+const runWithContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+/**
+ * Get the correlation fields of the current request or connection
+ * @returns {Object} - Correlation fields ({} outside any)
+ */
+const getContext = () => context.getStore() ?? {};
+
+/**
+ * Make a field value JSON-friendly
+ * Errors keep their name, message, code and stack
+ * @param {*} value - Field value
+ * @returns {*} - Serializable value
+ */
+const serializeValue = (value) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+      stack: value.stack,
+    };
+  }
+  return value;
+};
+
+/**
+ * Write one line
+ * @param {string} level - Level name
+ * @param {string} msg - Message
+ * @param {Object} bindings - Logger fields
+ * @param {Object} [fields] - Fields for this line
+ */
+const write = (level, msg, bindings, fields = {}) => {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...BASE_FIELDS,
+    ...bindings,
+    ...getContext(),
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = serializeValue(value);
+  });
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // e.g. a circular field; keep the line rather than lose it
+    line = JSON.stringify({
+      time: entry.time,
+      level,
+      msg,
+      ...BASE_FIELDS,
+      ...bindings,
+      ...getContext(),
+      logError: error.message,
+    });
+  }
+  process.stdout.write(`${line}\n`);
+};
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every line, e.g.
+ *   { module: "websocket" }
+ * @returns {Object} - { debug, info, warn, error, child, isLevelEnabled };
+ *   each log method takes (msg, fields?)
+ */
+const createLogger = (bindings = {}) => {
+  const logger = {
+    isLevelEnabled: (level) => LEVELS[level] >= minLevel,
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+  };
+  ["debug", "info", "warn", "error"].forEach((level) => {
+    logger[level] = (msg, fields) => {
+      if (LEVELS[level] >= minLevel) {
+        write(level, msg, bindings, fields);
+      }
+    };
+  });
+  return logger;
+};
+
+/**
+ * Application logger; modules use logger.child({ module })
+ */
+const logger = createLogger();
+
+export { LEVELS, runWithContext, getContext, createLogger, logger };
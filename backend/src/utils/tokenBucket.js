@@ -0,0 +1,145 @@
+// src/utils/tokenBucket.js
+// Token bucket rate limiting, single buckets and buckets keyed by client
+
+/**
+ * Token bucket
+ * Holds up to `capacity` tokens and refills at `refillPerSecond`;
+ * each allowed action takes one token
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillPerSecond - Sustained rate
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens earned since the last call
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsedSeconds * this.refillPerSecond,
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {boolean} - True if the action is allowed
+   */
+  take() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Time until the next token is available
+   * @returns {number} - Milliseconds (0 if a token is available now)
+   */
+  retryAfterMs() {
+    this.refill();
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  /**
+   * Check whether the bucket is back to full (safe to forget)
+   * @returns {boolean} - True if full
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Create a set of token buckets keyed by client (IP address, user ID, ...)
+ * Full buckets are swept periodically so idle clients do not leak memory
+ * @param {number} capacity - Maximum burst size per key
+ * @param {number} refillPerSecond - Sustained rate per key
+ * @param {number} sweepIntervalMs - How often to drop idle buckets
+ * @returns {Object} - { take(key), retryAfterMs(key), size() }
+ */
+const createKeyedLimiter = (capacity, refillPerSecond, sweepIntervalMs = 60000) => {
+  const buckets = new Map();
+
+  const getBucket = (key) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, new TokenBucket(capacity, refillPerSecond));
+    }
+    return buckets.get(key);
+  };
+
+  const sweep = setInterval(() => {
+    buckets.forEach((bucket, key) => {
+      if (bucket.isFull()) {
+        buckets.delete(key);
+      }
+    });
+  }, sweepIntervalMs);
+  // Do not keep the process alive just to sweep
+  sweep.unref();
+
+  return {
+    take: (key) => getBucket(key).take(),
+    retryAfterMs: (key) => getBucket(key).retryAfterMs(),
+    size: () => buckets.size,
+  };
+};
+
+/**
+ * Number of reverse proxies in front of the server whose X-Forwarded-For
+ * entries are trusted
+ * TRUST_PROXY=true means one (a single load balancer), a number means that
+ * many, and anything else means none
+ * @returns {number} - Trusted hops
+ */
+const trustedProxyHops = () => {
+  const setting = process.env.TRUST_PROXY;
+  if (setting === "true") {
+    return 1;
+  }
+  const hops = Number(setting);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+};
+
+/**
+ * Resolve the client IP of an HTTP or upgrade request
+ * Each proxy appends the address it received the request from to
+ * X-Forwarded-For, so only the rightmost entries, one per trusted proxy,
+ * can be relied on; anything to their left was sent by the client and may
+ * be forged. With N trusted proxies the client is the Nth entry from the
+ * right.
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string} - IP address
+ */
+const getClientIp = (req) => {
+  const hops = trustedProxyHops();
+  const forwarded = req.headers["x-forwarded-for"];
+  if (hops > 0 && forwarded) {
+    const entries = forwarded
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (entries.length > 0) {
+      return entries[Math.max(0, entries.length - hops)];
+    }
+  }
+  return req.socket?.remoteAddress ?? "unknown";
+};
+
+export { TokenBucket, createKeyedLimiter, getClientIp };
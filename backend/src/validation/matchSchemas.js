@@ -0,0 +1,124 @@
+// src/validation/matchSchemas.js
+// Schemas for match and commentary request bodies
+
+import { MATCH_STATUSES, INITIAL_STATUSES } from "../models/matchLifecycle.js";
+import { registerSchema } from "./registry.js";
+import {
+  ERROR_CODES,
+  string,
+  integer,
+  oneOf,
+  date,
+  plainObject,
+  array,
+  optional,
+  forbidden,
+  object,
+} from "./schema.js";
+
+/**
+ * Limits for commentary fields
+ */
+const COMMENTARY_LIMITS = {
+  message: 2000,
+  eventType: 50,
+  period: 50,
+  actor: 100,
+  team: 100,
+  tags: 20,
+  tag: 50,
+  metadataBytes: 4096,
+};
+
+// Lowercase identifiers such as "goal", "yellow_card", "second_half"
+const identifier = (maxLength) =>
+  string({
+    maxLength,
+    pattern: /^[a-z0-9_]+$/,
+    patternMessage: "must use lowercase letters, digits and underscores",
+  });
+
+/**
+ * POST /matches
+ * Teams are also accepted as team_home / team_away
+ */
+registerSchema(
+  "match.create",
+  object(
+    {
+      home_team: string(),
+      away_team: string(),
+      sport: optional(string({ lowercase: true })),
+      start_time: optional(date()),
+      status: optional(oneOf(INITIAL_STATUSES)),
+    },
+    { aliases: { team_home: "home_team", team_away: "away_team" } },
+  ),
+);
+
+/**
+ * PATCH /matches/:id/score
+ * Either { score } in the sport's shape, or { home_score, away_score }
+ * (also accepted as score_home / score_away) for sports scored with plain
+ * integers. The sport's scoring engine checks the shape of `score`.
+ */
+registerSchema(
+  "match.score",
+  object(
+    {
+      score: optional(plainObject()),
+      home_score: optional(integer({ min: 0 })),
+      away_score: optional(integer({ min: 0 })),
+    },
+    {
+      aliases: { score_home: "home_score", score_away: "away_score" },
+      refine: (value, ctx) => {
+        if (
+          value.score === undefined &&
+          (value.home_score === undefined || value.away_score === undefined)
+        ) {
+          return ctx
+            .at("score")
+            .fail(
+              ERROR_CODES.REQUIRED,
+              "is required unless home_score and away_score are given",
+            );
+        }
+        return value;
+      },
+    },
+  ),
+);
+
+/**
+ * PATCH /matches/:id/status
+ */
+registerSchema("match.status", object({ status: oneOf(MATCH_STATUSES) }));
+
+/**
+ * POST /matches/:id/commentary
+ * Tags are trimmed and deduplicated
+ */
+registerSchema(
+  "commentary.create",
+  object({
+    sequence: forbidden("is assigned by the server"),
+    message: string({ maxLength: COMMENTARY_LIMITS.message, multiline: true }),
+    event_type: optional(identifier(COMMENTARY_LIMITS.eventType)),
+    minute: optional(integer({ min: 0 })),
+    period: optional(identifier(COMMENTARY_LIMITS.period)),
+    actor: optional(string({ maxLength: COMMENTARY_LIMITS.actor })),
+    team: optional(string({ maxLength: COMMENTARY_LIMITS.team })),
+    metadata: optional(
+      plainObject({ maxBytes: COMMENTARY_LIMITS.metadataBytes }),
+    ),
+    tags: optional(
+      array(string({ maxLength: COMMENTARY_LIMITS.tag }), {
+        maxItems: COMMENTARY_LIMITS.tags,
+        unique: true,
+      }),
+    ),
+  }),
+);
+
+export { COMMENTARY_LIMITS };
@@ -0,0 +1,100 @@
+// src/validation/registry.js
+// Named schemas shared by HTTP request bodies and WebSocket messages
+
+import { HttpError } from "../middleware/errorHandler.js";
+import { validateSchema } from "./schema.js";
+
+/**
+ * Registered schemas
+ * Structure: Map<name, schema>, e.g. "match.create", "ws.subscribe"
+ */
+const schemas = new Map();
+
+/**
+ * Request body or message that failed its schema
+ * Carries statusCode 400 so errorHandler responds with Bad Request, plus
+ * the individual failures as `details`
+ */
+class ValidationError extends HttpError {
+  /**
+   * @param {Array<Object>} details - Failures: { path, code, message }
+   */
+  constructor(details) {
+    super(400, describeErrors(details));
+    this.name = "ValidationError";
+    this.code = "validation_failed";
+    this.details = details;
+  }
+}
+
+/**
+ * Summarize validation failures in one sentence
+ * @param {Array<Object>} errors - Failures: { path, code, message }
+ * @returns {string} - e.g. "home_team is required; minute must be at least 0"
+ */
+const describeErrors = (errors) =>
+  errors
+    .map(({ path, message }) => (path ? `${path} ${message}` : message))
+    .join("; ");
+
+/**
+ * Register a schema under a name
+ * @param {string} name - Schema name
+ * @param {Object} schema - Schema built from validation/schema.js
+ */
+const registerSchema = (name, schema) => {
+  if (schemas.has(name)) {
+    throw new Error(`Schema already registered: ${name}`);
+  }
+  schemas.set(name, schema);
+};
+
+/**
+ * Check whether a schema is registered
+ * @param {string} name - Schema name
+ * @returns {boolean} - True if registered
+ */
+const hasSchema = (name) => schemas.has(name);
+
+/**
+ * Validate a value against a registered schema
+ * @param {string} name - Schema name
+ * @param {*} value - Value to validate
+ * @returns {Object} - { valid: true, value } with the normalized value, or
+ *   { valid: false, errors: [{ path, code, message }], error } where
+ *   `error` summarizes the failures
+ */
+const validate = (name, value) => {
+  const schema = schemas.get(name);
+  if (!schema) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+
+  const result = validateSchema(schema, value);
+  return result.valid
+    ? result
+    : { ...result, error: describeErrors(result.errors) };
+};
+
+/**
+ * Validate a value against a registered schema or throw
+ * @param {string} name - Schema name
+ * @param {*} value - Value to validate
+ * @returns {*} - Normalized value
+ * @throws {ValidationError} - If the value does not match
+ */
+const validateOrThrow = (name, value) => {
+  const result = validate(name, value);
+  if (!result.valid) {
+    throw new ValidationError(result.errors);
+  }
+  return result.value;
+};
+
+export {
+  ValidationError,
+  registerSchema,
+  hasSchema,
+  validate,
+  validateOrThrow,
+};
@@ -0,0 +1,389 @@
+// src/validation/schema.js
+// Declarative schema builders shared by WebSocket messages and HTTP bodies
+
+import { checkText } from "./text.js";
+
+/**
+ * Machine-readable validation error codes
+ * Every failure is reported as { path, code, message }, where path is the
+ * dotted location of the offending value ("tags.2", "score.home"; "" for
+ * the value itself)
+ */
+const ERROR_CODES = Object.freeze({
+  REQUIRED: "required",
+  INVALID_TYPE: "invalid_type",
+  INVALID_VALUE: "invalid_value",
+  INVALID_FORMAT: "invalid_format",
+  INVALID_CHARACTERS: "invalid_characters",
+  TOO_SHORT: "too_short",
+  TOO_LONG: "too_long",
+  TOO_SMALL: "too_small",
+  TOO_BIG: "too_big",
+  FORBIDDEN: "forbidden",
+});
+
+/**
+ * Returned by a check that failed; the caller reports the errors collected
+ */
+const INVALID = Symbol("invalid");
+
+/**
+ * Validation context passed down the schema tree
+ * @param {Array} errors - Collected errors
+ * @param {Array<string|number>} path - Location of the current value
+ * @returns {Object} - { errors, path, at(key), fail(code, message) }
+ */
+const createContext = (errors, path = []) => ({
+  errors,
+  path,
+  at(key) {
+    return createContext(errors, [...path, key]);
+  },
+  fail(code, message) {
+    errors.push({ path: path.join("."), code, message });
+    return INVALID;
+  },
+});
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Any value
+ * @returns {string} - e.g. "array", "null", "string"
+ */
+const typeName = (value) => {
+  if (value === null) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+};
+
+/**
+ * Check that a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * String schema
+ * Strings are trimmed and must pass the character rules in
+ * validation/text.js
+ * @param {Object} [options] - Rules
+ * @param {number} [options.minLength=1] - Minimum length after trimming
+ * @param {number} [options.maxLength] - Maximum length after trimming
+ * @param {RegExp} [options.pattern] - Pattern the trimmed value must match
+ * @param {string} [options.patternMessage] - Message when the pattern fails
+ * @param {boolean} [options.lowercase] - Lowercase the value
+ * @param {boolean} [options.multiline] - Allow tabs and line breaks
+ * @returns {Object} - Schema
+ */
+const string = ({
+  minLength = 1,
+  maxLength,
+  pattern,
+  patternMessage = "has an invalid format",
+  lowercase = false,
+  multiline = false,
+} = {}) => ({
+  check(value, ctx) {
+    if (typeof value !== "string") {
+      return ctx.fail(
+        ERROR_CODES.INVALID_TYPE,
+        `must be a string, got ${typeName(value)}`,
+      );
+    }
+    const text = checkText(value.trim(), { multiline });
+    if (!text.valid) {
+      return ctx.fail(ERROR_CODES.INVALID_CHARACTERS, text.message);
+    }
+    const trimmed = text.value;
+    if (trimmed.length < minLength) {
+      return ctx.fail(
+        ERROR_CODES.TOO_SHORT,
+        minLength === 1
+          ? "must not be empty"
+          : `must be at least ${minLength} characters`,
+      );
+    }
+    if (maxLength !== undefined && trimmed.length > maxLength) {
+      return ctx.fail(
+        ERROR_CODES.TOO_LONG,
+        `must be at most ${maxLength} characters`,
+      );
+    }
+    if (pattern && !pattern.test(trimmed)) {
+      return ctx.fail(ERROR_CODES.INVALID_FORMAT, patternMessage);
+    }
+    return lowercase ? trimmed.toLowerCase() : trimmed;
+  },
+});
+
+/**
+ * Integer schema
+ * @param {Object} [options] - Rules
+ * @param {number} [options.min] - Smallest allowed value
+ * @param {number} [options.max] - Largest allowed value
+ * @returns {Object} - Schema
+ */
+const integer = ({ min, max } = {}) => ({
+  check(value, ctx) {
+    if (!Number.isSafeInteger(value)) {
+      return ctx.fail(
+        ERROR_CODES.INVALID_TYPE,
+        `must be an integer, got ${typeName(value)}`,
+      );
+    }
+    if (min !== undefined && value < min) {
+      return ctx.fail(ERROR_CODES.TOO_SMALL, `must be at least ${min}`);
+    }
+    if (max !== undefined && value > max) {
+      return ctx.fail(ERROR_CODES.TOO_BIG, `must be at most ${max}`);
+    }
+    return value;
+  },
+});
+
+/**
+ * Schema for one of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @returns {Object} - Schema
+ */
+const oneOf = (values) => ({
+  check(value, ctx) {
+    if (!values.includes(value)) {
+      return ctx.fail(
+        ERROR_CODES.INVALID_VALUE,
+        `must be one of: ${values.join(", ")}`,
+      );
+    }
+    return value;
+  },
+});
+
+/**
+ * Date schema: an ISO string or a timestamp, kept as given
+ * @returns {Object} - Schema
+ */
+const date = () => ({
+  check(value, ctx) {
+    if (
+      (typeof value !== "string" && typeof value !== "number") ||
+      Number.isNaN(new Date(value).getTime())
+    ) {
+      return ctx.fail(ERROR_CODES.INVALID_FORMAT, "must be a valid date");
+    }
+    return value;
+  },
+});
+
+/**
+ * Apply the character rules to every key and string inside a JSON value
+ * @param {*} value - JSON value
+ * @param {Object} ctx - Validation context at the value
+ * @returns {*} - Value with its strings normalized, or INVALID
+ */
+const checkNestedText = (value, ctx) => {
+  if (typeof value === "string") {
+    const text = checkText(value, { multiline: true });
+    return text.valid
+      ? text.value
+      : ctx.fail(ERROR_CODES.INVALID_CHARACTERS, text.message);
+  }
+  if (Array.isArray(value)) {
+    const checked = value.map((item, index) =>
+      checkNestedText(item, ctx.at(index)),
+    );
+    return checked.includes(INVALID) ? INVALID : checked;
+  }
+  if (isPlainObject(value)) {
+    // Entries, not assignment, so a "__proto__" key stays an own property
+    const entries = [];
+    for (const [key, item] of Object.entries(value)) {
+      const name = checkText(key);
+      if (!name.valid) {
+        return ctx.at(key).fail(ERROR_CODES.INVALID_CHARACTERS, name.message);
+      }
+      const checked = checkNestedText(item, ctx.at(key));
+      if (checked === INVALID) {
+        return INVALID;
+      }
+      entries.push([name.value, checked]);
+    }
+    return Object.fromEntries(entries);
+  }
+  return value;
+};
+
+/**
+ * Free-form object schema, e.g. JSON metadata
+ * Nested keys and strings must pass the character rules in
+ * validation/text.js
+ * @param {Object} [options] - Rules
+ * @param {number} [options.maxBytes] - Largest allowed size as JSON
+ * @returns {Object} - Schema
+ */
+const plainObject = ({ maxBytes } = {}) => ({
+  check(value, ctx) {
+    if (!isPlainObject(value)) {
+      return ctx.fail(
+        ERROR_CODES.INVALID_TYPE,
+        `must be an object, got ${typeName(value)}`,
+      );
+    }
+    if (
+      maxBytes !== undefined &&
+      Buffer.byteLength(JSON.stringify(value)) > maxBytes
+    ) {
+      return ctx.fail(ERROR_CODES.TOO_BIG, `must be at most ${maxBytes} bytes`);
+    }
+    return checkNestedText(value, ctx);
+  },
+});
+
+/**
+ * Array schema
+ * @param {Object} items - Schema for each item
+ * @param {Object} [options] - Rules
+ * @param {number} [options.maxItems] - Largest allowed length
+ * @param {boolean} [options.unique] - Drop duplicate items (after
+ *   normalization)
+ * @returns {Object} - Schema
+ */
+const array = (items, { maxItems, unique = false } = {}) => ({
+  check(value, ctx) {
+    if (!Array.isArray(value)) {
+      return ctx.fail(
+        ERROR_CODES.INVALID_TYPE,
+        `must be an array, got ${typeName(value)}`,
+      );
+    }
+    if (maxItems !== undefined && value.length > maxItems) {
+      return ctx.fail(
+        ERROR_CODES.TOO_LONG,
+        `must have at most ${maxItems} items`,
+      );
+    }
+    const checked = value.map((item, index) =>
+      items.check(item, ctx.at(index)),
+    );
+    if (checked.includes(INVALID)) {
+      return INVALID;
+    }
+    return unique ? [...new Set(checked)] : checked;
+  },
+});
+
+/**
+ * Make a field optional; undefined and null both mean "not given"
+ * @param {Object} schema - Schema for the value when present
+ * @returns {Object} - Schema
+ */
+const optional = (schema) => ({ ...schema, optional: true });
+
+/**
+ * Field that clients may not send
+ * @param {string} message - Why the field is rejected
+ * @returns {Object} - Schema
+ */
+const forbidden = (message) => ({
+  optional: true,
+  check(value, ctx) {
+    return ctx.fail(ERROR_CODES.FORBIDDEN, message);
+  },
+});
+
+/**
+ * Schema with a hand-written check
+ * @param {Function} fn - (value, ctx) => normalized value, or
+ *   ctx.fail(code, message)
+ * @returns {Object} - Schema
+ */
+const custom = (fn) => ({ check: fn });
+
+/**
+ * Object schema
+ * Unknown fields are dropped from the result. Fields are checked in order
+ * and every failure is reported, not just the first.
+ * @param {Object} fields - Schema per field name
+ * @param {Object} [options] - Rules
+ * @param {Object} [options.aliases] - Alternative field names accepted for
+ *   a field ({ alias: field })
+ * @param {Function} [options.refine] - (value, ctx) => value; runs on the
+ *   normalized object when every field is valid, for rules that span
+ *   fields
+ * @returns {Object} - Schema
+ */
+const object = (fields, { aliases = {}, refine } = {}) => ({
+  check(value, ctx) {
+    if (!isPlainObject(value)) {
+      return ctx.fail(
+        ERROR_CODES.INVALID_TYPE,
+        `must be an object, got ${typeName(value)}`,
+      );
+    }
+
+    const input = { ...value };
+    Object.entries(aliases).forEach(([alias, field]) => {
+      if (input[field] === undefined && input[alias] !== undefined) {
+        input[field] = input[alias];
+      }
+    });
+
+    const result = {};
+    let valid = true;
+    Object.entries(fields).forEach(([field, schema]) => {
+      const fieldValue = input[field];
+      if (fieldValue === undefined || fieldValue === null) {
+        if (!schema.optional) {
+          ctx.at(field).fail(ERROR_CODES.REQUIRED, "is required");
+          valid = false;
+        }
+        return;
+      }
+
+      const checked = schema.check(fieldValue, ctx.at(field));
+      if (checked === INVALID) {
+        valid = false;
+      } else {
+        result[field] = checked;
+      }
+    });
+
+    if (!valid) {
+      return INVALID;
+    }
+    return refine ? refine(result, ctx) : result;
+  },
+});
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @returns {Object} - { valid: true, value } with the normalized value, or
+ *   { valid: false, errors: [{ path, code, message }] }
+ */
+const validateSchema = (schema, value) => {
+  const errors = [];
+  const checked = schema.check(value, createContext(errors));
+  if (checked === INVALID || errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, value: checked };
+};
+
+export {
+  ERROR_CODES,
+  string,
+  integer,
+  oneOf,
+  date,
+  plainObject,
+  array,
+  optional,
+  forbidden,
+  custom,
+  object,
+  validateSchema,
+};
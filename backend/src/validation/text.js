@@ -0,0 +1,54 @@
+// src/validation/text.js
+// Character rules for user-supplied text, applied when it is written
+
+/**
+ * Characters never accepted in stored text
+ *   - C0 controls other than tab and newline, DEL and C1 controls: invisible,
+ *     and they break terminals, logs and line-based formats such as SSE
+ *   - Bidirectional overrides and isolates (U+202A-U+202E, U+2066-U+2069):
+ *     they make text display differently from what it contains
+ * Single-line fields reject tab and newline as well.
+ */
+const UNSAFE_MULTILINE = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/u;
+const UNSAFE_LINE = /[\u0000-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/u;
+
+/**
+ * Describe a character for error messages
+ * @param {string} char - Offending character
+ * @returns {string} - e.g. "U+202E"
+ */
+const codePoint = (char) =>
+  `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`;
+
+/**
+ * Check and normalize a piece of user-supplied text
+ *
+ * Text is otherwise stored and sent exactly as given: markup characters
+ * such as < and & are legitimate ("target < 150") and are escaped by
+ * whatever renders the text, for the context it renders into.
+ *
+ * @param {string} value - Text to check
+ * @param {Object} [options] - Rules
+ * @param {boolean} [options.multiline=false] - Allow tabs and line breaks
+ *   (CRLF and CR are normalized to LF)
+ * @returns {Object} - { valid: true, value } with the text in Unicode NFC,
+ *   or { valid: false, message }
+ */
+const checkText = (value, { multiline = false } = {}) => {
+  if (!value.isWellFormed()) {
+    return { valid: false, message: "must be valid Unicode text" };
+  }
+
+  const text = multiline ? value.replace(/\r\n?/g, "\n") : value;
+  const unsafe = text.match(multiline ? UNSAFE_MULTILINE : UNSAFE_LINE);
+  if (unsafe) {
+    return {
+      valid: false,
+      message: `must not contain control or direction-override characters (found ${codePoint(unsafe[0])})`,
+    };
+  }
+
+  return { valid: true, value: text.normalize("NFC") };
+};
+
+export { checkText };
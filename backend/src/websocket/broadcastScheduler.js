@@ -0,0 +1,116 @@
+// src/websocket/broadcastScheduler.js
+// Per-match outbound queue that throttles and coalesces broadcasts
+
+/**
+ * Create a broadcast scheduler
+ *
+ * Each match gets at most one flush per window. The first event after a
+ * quiet period goes out straight away; events arriving during the window
+ * that follows are queued and flushed together when it ends.
+ *
+ * Queued events keep their order. An event whose type is in
+ * `coalescedTypes` replaces any queued event of the same type for that
+ * match (only the latest state matters); every other event is kept.
+ *
+ * @param {Object} options - Scheduler options
+ * @param {number} options.windowMs - Minimum time between flushes of one
+ *   match; 0 flushes every event immediately
+ * @param {Array<string>} options.coalescedTypes - Message types whose newer
+ *   events supersede older ones
+ * @param {Function} options.flush - (key, items) => void, called with the
+ *   queued items in order
+ * @returns {Object} - { enqueue, flush, flushAll, getStats }
+ */
+const createBroadcastScheduler = ({ windowMs, coalescedTypes, flush }) => {
+  // Structure: Map<key, { items: Array, timer: Timeout }>
+  // A key is present while its window is open
+  const queues = new Map();
+  const coalesced = new Set(coalescedTypes);
+  let coalescedCount = 0;
+
+  /**
+   * Send everything queued for a key
+   * @param {*} key - Queue key
+   */
+  const flushQueue = (key) => {
+    const queue = queues.get(key);
+    if (!queue || queue.items.length === 0) {
+      return;
+    }
+    const items = queue.items;
+    queue.items = [];
+    flush(key, items);
+  };
+
+  /**
+   * Close the window: flush what arrived during it and open a new one,
+   * or forget the key if nothing did
+   * @param {*} key - Queue key
+   */
+  const endWindow = (key) => {
+    const queue = queues.get(key);
+    if (queue.items.length === 0) {
+      queues.delete(key);
+      return;
+    }
+    flushQueue(key);
+    queue.timer = setTimeout(() => endWindow(key), windowMs);
+    queue.timer.unref();
+  };
+
+  /**
+   * Queue an item for broadcasting
+   * @param {*} key - Queue key (match ID)
+   * @param {Object} item - Item to pass to flush; item.data.type is the
+   *   message type
+   */
+  const enqueue = (key, item) => {
+    if (windowMs <= 0) {
+      flush(key, [item]);
+      return;
+    }
+
+    const queue = queues.get(key);
+    if (!queue) {
+      // Quiet match: send now and hold later events for one window
+      const timer = setTimeout(() => endWindow(key), windowMs);
+      timer.unref();
+      queues.set(key, { items: [], timer });
+      flush(key, [item]);
+      return;
+    }
+
+    const type = item.data.type;
+    if (coalesced.has(type)) {
+      const before = queue.items.length;
+      queue.items = queue.items.filter((queued) => queued.data.type !== type);
+      coalescedCount += before - queue.items.length;
+    }
+    queue.items.push(item);
+  };
+
+  /**
+   * Send everything queued for every key now, e.g. before shutdown
+   */
+  const flushAll = () => {
+    Array.from(queues.keys()).forEach(flushQueue);
+  };
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} - Queue statistics
+   */
+  const getStats = () => ({
+    windowMs,
+    throttledMatches: queues.size,
+    queuedEvents: Array.from(queues.values()).reduce(
+      (total, queue) => total + queue.items.length,
+      0,
+    ),
+    coalescedEvents: coalescedCount,
+  });
+
+  return { enqueue, flush: flushQueue, flushAll, getStats };
+};
+
+export { createBroadcastScheduler };
@@ -0,0 +1,154 @@
+// src/websocket/wsBroadcaster.js
+// Bridges match events from the model layer to WebSocket and SSE broadcasts
+
+import { matchEvents, MATCH_EVENTS } from "../events/matchEvents.js";
+import { onDatabaseStatusChange } from "../config/db.js";
+import { onEventRelayResync } from "../events/pgEventRelay.js";
+import * as wsHandlers from "./wsHandlers.js";
+import {
+  streamToMatch,
+  streamToAll,
+  resyncAllStreams,
+} from "../sse/sseHandlers.js";
+
+/**
+ * Send a message to a match's WebSocket subscribers and SSE streams
+ * @param {Object} match - Match row (its sport and teams pick the topics)
+ * @param {Object} data - Data to broadcast
+ * @param {Object} [options] - { previousStatus } for status changes
+ */
+const broadcastToMatch = (match, data, options) => {
+  wsHandlers.broadcastToMatch(match, data, options);
+  streamToMatch(Number(match.id), data);
+};
+
+/**
+ * Send a message to every WebSocket client and SSE stream
+ * @param {Object} data - Data to broadcast
+ */
+const broadcastToAll = (data) => {
+  wsHandlers.broadcastToAll(data);
+  streamToAll(data);
+};
+
+/**
+ * Build a WebSocket event message
+ * @param {string} type - Event type
+ * @param {number} matchId - Match ID
+ * @param {Object} data - Event data
+ * @returns {Object} - Message object
+ */
+const buildEvent = (type, matchId, data) => ({
+  type,
+  matchId,
+  data,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Tell every connected client that the live match list changed
+ * @param {string} action - "added" or "removed"
+ * @param {Object} match - Match that entered or left the live list
+ */
+const broadcastLiveMatchesChange = (action, match) => {
+  broadcastToAll({
+    type: "live_matches_changed",
+    action,
+    matchId: Number(match.id),
+    data: match,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const onScoreUpdate = ({ match }) => {
+  const matchId = Number(match.id);
+  broadcastToMatch(match, buildEvent(MATCH_EVENTS.SCORE_UPDATE, matchId, match));
+};
+
+const onStatusChange = ({ match, previousStatus }) => {
+  const matchId = Number(match.id);
+  broadcastToMatch(
+    match,
+    buildEvent(MATCH_EVENTS.STATUS_CHANGE, matchId, { ...match, previousStatus }),
+    { previousStatus },
+  );
+
+  if (match.status === "live" && previousStatus !== "live") {
+    broadcastLiveMatchesChange("added", match);
+  } else if (match.status !== "live" && previousStatus === "live") {
+    broadcastLiveMatchesChange("removed", match);
+  }
+};
+
+const onCommentary = ({ match_id, match, commentary }) => {
+  const matchId = Number(match_id);
+  broadcastToMatch(
+    match ?? { id: matchId },
+    buildEvent(MATCH_EVENTS.COMMENTARY, matchId, commentary),
+  );
+};
+
+const onMatchDeleted = ({ match }) => {
+  const matchId = Number(match.id);
+  broadcastToMatch(
+    match,
+    buildEvent(MATCH_EVENTS.MATCH_DELETED, matchId, match),
+  );
+
+  if (match.status === "live") {
+    broadcastLiveMatchesChange("removed", match);
+  }
+};
+
+const listeners = {
+  [MATCH_EVENTS.SCORE_UPDATE]: onScoreUpdate,
+  [MATCH_EVENTS.STATUS_CHANGE]: onStatusChange,
+  [MATCH_EVENTS.COMMENTARY]: onCommentary,
+  [MATCH_EVENTS.MATCH_DELETED]: onMatchDeleted,
+};
+
+/**
+ * Start forwarding match events to WebSocket subscribers and SSE streams
+ * @returns {Function} - Call to stop forwarding
+ */
+const registerMatchBroadcasts = () => {
+  Object.entries(listeners).forEach(([type, listener]) => {
+    matchEvents.on(type, listener);
+  });
+
+  return () => {
+    Object.entries(listeners).forEach(([type, listener]) => {
+      matchEvents.off(type, listener);
+    });
+  };
+};
+
+/**
+ * Start telling every client when the database becomes unavailable or
+ * recovers (service_status messages)
+ * @returns {Function} - Call to stop
+ */
+const registerStatusBroadcasts = () =>
+  onDatabaseStatusChange((databaseStatus) => {
+    broadcastToAll(wsHandlers.serviceStatusMessage(databaseStatus));
+  });
+
+/**
+ * Start telling every client to catch up when the event relay reconnects,
+ * as events from other instances may have been missed meanwhile
+ * @returns {Function} - Call to stop
+ */
+const registerRelayResyncBroadcasts = () =>
+  onEventRelayResync(() => {
+    wsHandlers.requestResync(
+      "event_relay_reconnected",
+      "Updates from other servers may have been missed; resubscribe with lastSequence to catch up",
+    );
+    resyncAllStreams("event_relay_reconnected");
+  });
+
+export {
+  registerMatchBroadcasts,
+  registerStatusBroadcasts,
+  registerRelayResyncBroadcasts,
+};
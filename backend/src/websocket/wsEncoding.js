@@ -0,0 +1,156 @@
+// src/websocket/wsEncoding.js
+// Wire encodings for WebSocket messages: JSON text or MessagePack binary
+
+import { encode, decode } from "@msgpack/msgpack";
+
+/**
+ * Supported encodings
+ *   json    - Text frames (default)
+ *   msgpack - Binary MessagePack frames, smaller for mobile clients
+ */
+const ENCODINGS = Object.freeze({
+  JSON: "json",
+  MSGPACK: "msgpack",
+});
+
+/**
+ * WebSocket subprotocols and the encoding each selects
+ * A client offering several gets the most compact one we support
+ */
+const SUBPROTOCOLS = new Map([
+  ["sportz.msgpack", ENCODINGS.MSGPACK],
+  ["sportz.json", ENCODINGS.JSON],
+]);
+
+/**
+ * Check whether an encoding name is supported
+ * @param {*} encoding - Encoding name
+ * @returns {boolean} - True if supported
+ */
+const isValidEncoding = (encoding) =>
+  Object.values(ENCODINGS).includes(encoding);
+
+/**
+ * Pick the subprotocol for an upgrade request (ws handleProtocols hook)
+ * @param {Set<string>} protocols - Subprotocols offered by the client
+ * @returns {string|false} - Chosen subprotocol, or false if none is supported
+ */
+const selectProtocol = (protocols) => {
+  for (const protocol of SUBPROTOCOLS.keys()) {
+    if (protocols.has(protocol)) {
+      return protocol;
+    }
+  }
+  return false;
+};
+
+/**
+ * Encoding for a connection, from its negotiated subprotocol
+ * @param {string} protocol - ws.protocol ("" when none was negotiated)
+ * @returns {string} - Encoding name
+ */
+const encodingForProtocol = (protocol) =>
+  SUBPROTOCOLS.get(protocol) ?? ENCODINGS.JSON;
+
+/**
+ * Convert data to the values sent on the wire
+ * Dates become ISO strings so JSON and MessagePack clients see the same
+ * value (MessagePack would otherwise use its timestamp type). Strings are
+ * sent exactly as stored; they were checked when written (see
+ * validation/text.js) and clients escape them for wherever they display
+ * them.
+ * @param {*} data - Data to send
+ * @returns {*} - Wire data
+ */
+const toWireFormat = (data) => {
+  if (Array.isArray(data)) {
+    return data.map((item) => toWireFormat(item));
+  }
+
+  if (data instanceof Date) {
+    return data.toISOString();
+  }
+
+  if (typeof data === "object" && data !== null) {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, toWireFormat(value)]),
+    );
+  }
+
+  return data;
+};
+
+/**
+ * Characters escaped in JSON output, and their escapes
+ * A JSON parser reads the escapes back as the original characters, so the
+ * data is unchanged; the text just can never close a <script> element or
+ * start markup if a client embeds it in a page.
+ */
+const JSON_ESCAPES = {
+  "<": "\\u003c",
+  ">": "\\u003e",
+  "&": "\\u0026",
+  "\u2028": "\\u2028",
+  "\u2029": "\\u2029",
+};
+
+/**
+ * Serialize data as JSON with markup characters escaped
+ * The same escaping Express applies to HTTP responses ("json escape")
+ * @param {*} data - Data in wire format
+ * @returns {string} - JSON text
+ */
+const encodeJson = (data) =>
+  JSON.stringify(data).replace(/[<>&\u2028\u2029]/g, (c) => JSON_ESCAPES[c]);
+
+/**
+ * Create an outbound message that is encoded at most once per encoding,
+ * however many sockets it is sent to
+ * @param {Object} data - Message object (already in wire format)
+ * @param {Object} [encoders] - Cheaper ways to build a frame, by encoding
+ *   (e.g. joining frames that were already encoded)
+ * @returns {Object} - { data, encode(encoding) }
+ */
+const createMessage = (data, encoders = {}) => {
+  const frames = new Map();
+
+  return {
+    data,
+    encode(encoding) {
+      if (!frames.has(encoding)) {
+        let frame;
+        if (encoders[encoding]) {
+          frame = encoders[encoding]();
+        } else if (encoding === ENCODINGS.MSGPACK) {
+          frame = Buffer.from(encode(data, { ignoreUndefined: true }));
+        } else {
+          frame = encodeJson(data);
+        }
+        frames.set(encoding, frame);
+      }
+      return frames.get(encoding);
+    },
+  };
+};
+
+/**
+ * Decode a frame received from a client
+ * Text frames are JSON; binary frames are MessagePack
+ * @param {Buffer} frame - Raw frame
+ * @param {boolean} isBinary - Whether it was a binary frame
+ * @returns {string|Object} - JSON text, or the decoded MessagePack value
+ * @throws {Error} - If a binary frame is not valid MessagePack
+ */
+const decodeFrame = (frame, isBinary) =>
+  isBinary ? decode(frame) : frame.toString();
+
+export {
+  ENCODINGS,
+  isValidEncoding,
+  toWireFormat,
+  encodeJson,
+  selectProtocol,
+  encodingForProtocol,
+  createMessage,
+  decodeFrame,
+};
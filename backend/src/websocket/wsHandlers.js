@@ -1,181 +1,688 @@
 // src/websocket/wsHandlers.js
 // WebSocket connection handlers and message processing logic
 
-import { validateMessage, sanitizeData } from "./wsValidation.js";
+import {
+  validateMessage,
+  parseTopic,
+  nameTopic,
+  TOPIC_KINDS,
+  MESSAGE_ERRORS,
+  MAX_MESSAGE_SIZE,
+} from "./wsValidation.js";
+import Match from "../models/match.js";
+import { getSseStats } from "../sse/sseHandlers.js";
+import {
+  CLOSE_CODES,
+  getClientIp,
+  trackConnection,
+  releaseConnection,
+  createClientRateLimit,
+  checkMessageRate,
+  canSubscribe,
+  WS_LIMITS,
+} from "./wsRateLimit.js";
+import {
+  createOutboundQueue,
+  describeBroadcast,
+  sendToClient,
+  getOutboundStats,
+  MESSAGE_KINDS,
+} from "./wsOutbound.js";
+import {
+  ENCODINGS,
+  encodingForProtocol,
+  createMessage,
+  decodeFrame,
+  toWireFormat,
+} from "./wsEncoding.js";
+import { createBroadcastScheduler } from "./broadcastScheduler.js";
+import { MATCH_EVENTS } from "../events/matchEvents.js";
+import {
+  getDatabaseStatus,
+  DatabaseUnavailableError,
+} from "../config/db.js";
+import { logger, runWithContext } from "../utils/logger.js";
+import {
+  createCounter,
+  createGauge,
+  createHistogram,
+} from "../metrics/metrics.js";
+
+const log = logger.child({ module: "websocket" });
 
 /**
- * Store active WebSocket connections
- * Structure: Map<matchId, Set<WebSocket>>
- * This allows efficient broadcasting to all clients subscribed to a specific match
+ * Default number of commentary entries sent with a subscribe snapshot
+ */
+const DEFAULT_SNAPSHOT_COMMENTARY = 20;
+
+/**
+ * Minimum time between two broadcasts for the same match
+ * Score updates arriving within the window are merged into the latest one;
+ * 0 sends every event immediately
+ */
+const BROADCAST_WINDOW_MS = Number.isInteger(
+  parseInt(process.env.WS_BROADCAST_WINDOW_MS),
+)
+  ? parseInt(process.env.WS_BROADCAST_WINDOW_MS)
+  : 100;
+
+/**
+ * Store active WebSocket subscriptions by topic
+ * Structure: Map<topic, Set<WebSocket>>
+ * Topics are normalized by wsValidation.parseTopic: match:<id>,
+ * sport:<name>, team:<name> or live. A match event is sent to the union of
+ * its topics' subscribers, once per socket.
  */
 const subscriptions = new Map();
 
 /**
  * Store client metadata
- * Structure: Map<WebSocket, { matchIds: Set, isAlive: boolean, id: string }>
+ * Structure: Map<WebSocket, { topics: Set, isAlive: boolean, id: string,
+ *                              userId: string, role: string, ip: string,
+ *                              batch: boolean, encoding: string,
+ *                              rateLimit: { bucket, violations },
+ *                              outbound: { queue, stats, ... },
+ *                              pendingSnapshots: Map<topic, Array>,
+ *                              commentaryCursors: Map<matchId, number> }>
+ *
+ * pendingSnapshots buffers live events for a topic while its subscribe
+ * snapshot is being loaded, so they are delivered after the snapshot.
+ * commentaryCursors holds the newest commentary sequence each match
+ * snapshot covered, so a broadcast flushed after it does not repeat it
  */
 const clients = new Map();
 
 let clientIdCounter = 0;
 
+createGauge({
+  name: "sportz_ws_connected_clients",
+  help: "Connected WebSocket clients",
+  collect: () => clients.size,
+});
+
+createGauge({
+  name: "sportz_ws_match_subscribers",
+  help: "WebSocket clients subscribed to a match topic, by match",
+  labelNames: ["match_id"],
+  collect: () =>
+    Array.from(subscriptions.entries())
+      .map(([topic, subs]) => ({ parsed: parseTopic(topic), subs }))
+      .filter(({ parsed }) => parsed.kind === TOPIC_KINDS.MATCH)
+      .map(({ parsed, subs }) => ({
+        labels: { match_id: parsed.value },
+        value: subs.size,
+      })),
+});
+
+// Sport and team topics are summed per kind rather than labelled by name
+createGauge({
+  name: "sportz_ws_subscriptions",
+  help: "WebSocket topic subscriptions, by topic kind",
+  labelNames: ["kind"],
+  collect: () => {
+    const totals = new Map(
+      Object.values(TOPIC_KINDS).map((kind) => [kind, 0]),
+    );
+    subscriptions.forEach((subs, topic) => {
+      const { kind } = parseTopic(topic);
+      totals.set(kind, totals.get(kind) + subs.size);
+    });
+    return Array.from(totals, ([kind, value]) => ({
+      labels: { kind },
+      value,
+    }));
+  },
+});
+
+/**
+ * Messages received from clients, by type ("invalid" for messages that
+ * failed validation, "rate_limited" for ones refused unread)
+ */
+const messagesReceived = createCounter({
+  name: "sportz_ws_messages_received_total",
+  help: "WebSocket messages received from clients, by message type",
+  labelNames: ["type"],
+});
+
+/**
+ * Time to hand a broadcast to every recipient's socket or queue
+ */
+const broadcastDuration = createHistogram({
+  name: "sportz_ws_broadcast_duration_seconds",
+  help: "Time to fan a broadcast out to its WebSocket recipients",
+  labelNames: ["scope"],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1],
+});
+
+/**
+ * Send a reply or notice to one client through its outbound queue
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {Object} payload - Message object
+ */
+const sendJson = (ws, payload) => {
+  sendToClient(ws, clients.get(ws), createMessage(payload));
+};
+
+/**
+ * Build the message telling clients the service is degraded or has
+ * recovered
+ * @param {Object} databaseStatus - { status: "ok" | "degraded",
+ *   retryAfterMs } from config/db.js
+ * @returns {Object} - service_status message
+ */
+const serviceStatusMessage = ({ status, retryAfterMs }) =>
+  status === "ok"
+    ? {
+        type: "service_status",
+        status,
+        message: "Service restored",
+        timestamp: new Date().toISOString(),
+      }
+    : {
+        type: "service_status",
+        status,
+        reason: "database_unavailable",
+        retryAfterMs,
+        message:
+          "The database is unavailable: subscriptions and updates may fail until it recovers",
+        timestamp: new Date().toISOString(),
+      };
+
 /**
  * Handle new WebSocket connection
  * @param {WebSocket} ws - WebSocket client connection
- * @param {Request} req - HTTP request object
+ * @param {Request} req - HTTP upgrade request (req.user set by verifyClient)
  */
-const handleConnection = (ws) => {
+const handleConnection = (ws, req) => {
   // Generate unique client ID
   const clientId = `client-${++clientIdCounter}`;
+  const ip = getClientIp(req);
+  trackConnection(ip);
+
+  // Clients opt in to batched frames with ?batch=true
+  const batchParam = new URL(req.url, "http://localhost").searchParams.get(
+    "batch",
+  );
+  const batch = batchParam === "true" || batchParam === "1";
+
+  // Chosen through the subprotocol; the client can switch later with a
+  // configure message
+  const encoding = encodingForProtocol(ws.protocol);
 
   // Initialize client metadata
   clients.set(ws, {
     id: clientId,
-    matchIds: new Set(), // Matches this client is subscribed to
+    userId: req.user.id, // Authenticated identity from the token
+    role: req.user.role, // viewer | commentator | admin
+    ip, // For per-IP limits
+    batch, // Receives several events for a match as one "batch" frame
+    encoding, // Wire encoding for messages to this client (json | msgpack)
+    rateLimit: createClientRateLimit(), // Incoming message budget
+    outbound: createOutboundQueue(), // Messages waiting for a slow socket
+    topics: new Set(), // Topics this client is subscribed to
+    pendingSnapshots: new Map(), // Live events held back until snapshot is sent
+    commentaryCursors: new Map(), // Newest commentary per match in snapshots
     isAlive: true, // For heartbeat tracking
     connectedAt: new Date(),
   });
 
-  console.log(`New WebSocket connection: ${clientId}`);
-  console.log(`Total connections: ${clients.size}`);
+  log.info("WebSocket client connected", {
+    clientId,
+    userId: req.user.id,
+    role: req.user.role,
+    connections: clients.size,
+  });
 
   // Send welcome message
-  ws.send(
-    JSON.stringify({
-      type: "connected",
-      clientId: clientId,
-      message: "Connected to Sportz WebSocket server",
-    }),
-  );
+  sendJson(ws, {
+    type: "connected",
+    clientId: clientId,
+    role: req.user.role,
+    batch,
+    encoding,
+    message: "Connected to Sportz WebSocket server",
+  });
+
+  // Clients connecting during an outage learn about it straight away;
+  // everyone else gets service_status broadcasts as it changes
+  const databaseStatus = getDatabaseStatus();
+  if (databaseStatus.status !== "ok") {
+    sendJson(ws, serviceStatusMessage(databaseStatus));
+  }
+
+  // Everything logged while handling this connection's events (including
+  // queries) carries its client id
+  const withClientId =
+    (handler) =>
+    (...args) =>
+      runWithContext({ clientId }, () => handler(...args));
 
   // Set up message handler
-  ws.on("message", (data) => handleMessage(ws, data));
+  ws.on(
+    "message",
+    withClientId((data, isBinary) => handleMessage(ws, data, isBinary)),
+  );
 
   // Set up pong handler for heartbeat
   ws.on("pong", () => handlePong(ws));
 
   // Set up close handler
-  ws.on("close", () => handleDisconnect(ws));
+  ws.on("close", withClientId(() => handleDisconnect(ws)));
 
   // Set up error handler
-  ws.on("error", (error) => handleError(ws, error));
+  ws.on("error", withClientId((error) => handleError(ws, error)));
 };
 
 /**
  * Handle incoming WebSocket messages
  * @param {WebSocket} ws - WebSocket client connection
  * @param {Buffer} data - Raw message data
+ * @param {boolean} isBinary - True for binary (MessagePack) frames
  */
-const handleMessage = (ws, data) => {
+const handleMessage = (ws, data, isBinary) => {
   const client = clients.get(ws);
 
-  // Convert buffer to string
-  const rawMessage = data.toString();
+  // Enforce message rate before doing any work on the message
+  const rate = checkMessageRate(client);
+  if (!rate.allowed) {
+    messagesReceived.inc({ type: "rate_limited" });
+    if (rate.disconnect) {
+      log.warn("Disconnecting client: repeated rate limit violations");
+      ws.close(CLOSE_CODES.POLICY_VIOLATION, "Rate limit exceeded");
+      return;
+    }
+    sendJson(ws, {
+      type: "error",
+      code: "rate_limited",
+      retryAfterMs: rate.retryAfterMs,
+      message: "Too many messages, please slow down",
+    });
+    return;
+  }
+
+  // Text frames carry JSON, binary frames MessagePack
+  let rawMessage;
+  if (isBinary && data.length > MAX_MESSAGE_SIZE) {
+    rawMessage = null;
+  } else {
+    try {
+      rawMessage = decodeFrame(data, isBinary);
+    } catch (error) {
+      rawMessage = null;
+    }
+  }
 
   // Validate message
-  const validation = validateMessage(rawMessage);
+  const validation =
+    rawMessage === null
+      ? {
+          valid: false,
+          code: MESSAGE_ERRORS.INVALID_FRAME,
+          error: "Invalid or too large MessagePack frame",
+        }
+      : validateMessage(rawMessage);
 
   if (!validation.valid) {
-    console.log(`Invalid message from ${client.id}: ${validation.error}`);
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: validation.error,
-      }),
-    );
+    messagesReceived.inc({ type: "invalid" });
+    log.debug("Invalid message", {
+      code: validation.code,
+      error: validation.error,
+    });
+    sendJson(ws, {
+      type: "error",
+      code: validation.code,
+      requestId: validation.requestId,
+      details: validation.details,
+      message: validation.error,
+    });
     return;
   }
 
   const message = validation.message;
-  console.log(`Message from ${client.id}:`, message.type);
+  const { requestId } = message;
+  messagesReceived.inc({ type: message.type });
+  log.debug("Message received", { type: message.type });
 
   // Handle different message types
   switch (message.type) {
     case "subscribe":
-      handleSubscribe(ws, message.matchId);
+      // Snapshot load failures are answered inside; this catches the rest
+      // (e.g. encoding or sending) so they cannot crash the process
+      handleSubscribe(ws, message.topic, {
+        commentaryLimit: message.commentaryLimit,
+        lastSequence: message.lastSequence,
+        requestId,
+      }).catch((error) => {
+        log.error("Error handling subscribe", {
+          topic: message.topic,
+          err: error,
+        });
+      });
       break;
 
     case "unsubscribe":
-      handleUnsubscribe(ws, message.matchId);
+      handleUnsubscribe(ws, message.topic, requestId);
+      break;
+
+    case "configure":
+      handleConfigure(ws, message.encoding, requestId);
       break;
 
     case "ping":
       // Respond to client ping with pong
-      ws.send(JSON.stringify({ type: "pong", timestamp: Date.now() }));
+      sendJson(ws, { type: "pong", requestId, timestamp: Date.now() });
       break;
 
-    default:
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "Unknown message type",
-        }),
+    case "pong":
+      // Heartbeat replies need no answer
+      break;
+  }
+};
+
+/**
+ * Switch the encoding of messages sent to a client
+ * Messages already queued keep the encoding they were queued with; the
+ * reply is the first message in the new encoding
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {string} encoding - One of ENCODINGS
+ * @param {string|number} [requestId] - Echoed in the reply
+ */
+const handleConfigure = (ws, encoding, requestId) => {
+  const client = clients.get(ws);
+  client.encoding = encoding;
+
+  log.debug("Switched encoding", { encoding });
+
+  sendJson(ws, {
+    type: "configured",
+    requestId,
+    encoding,
+    message: `Messages are now encoded as ${encoding}`,
+  });
+};
+
+/**
+ * Topics a match event is published on
+ * @param {Object} match - Match row
+ * @param {Object} [options] - Event details
+ * @param {string} [options.previousStatus] - Status before a status change;
+ *   a match leaving the live state is still sent to the live topic
+ * @returns {Array<string>} - Topics, match topic first
+ */
+const matchTopics = (match, { previousStatus } = {}) => {
+  const topics = [`${TOPIC_KINDS.MATCH}:${Number(match.id)}`];
+  if (match.sport) {
+    topics.push(nameTopic(TOPIC_KINDS.SPORT, match.sport));
+  }
+  [match.home_team, match.away_team].forEach((team) => {
+    if (team) {
+      topics.push(nameTopic(TOPIC_KINDS.TEAM, team));
+    }
+  });
+  if (match.status === "live" || previousStatus === "live") {
+    topics.push(TOPIC_KINDS.LIVE);
+  }
+  return topics;
+};
+
+/**
+ * Load the state sent to a client when it subscribes to a topic
+ * A match topic gets the match and its commentary; the other topics get
+ * the matches they currently cover (live ones for `live`, every match not
+ * yet finished for a sport or team)
+ * @param {Object} parsed - parseTopic result
+ * @param {Object} options - Subscribe options (match topics only)
+ * @returns {Promise<Object>} - Snapshot; `missing` is set if the match
+ *   does not exist
+ */
+const loadTopicSnapshot = async ({ kind, value }, options) => {
+  switch (kind) {
+    case TOPIC_KINDS.MATCH: {
+      const { match, commentary, resumed } = await Match.getSnapshot(
+        value,
+        options,
       );
+      return match
+        ? { resumed, commentary, data: { match, commentary } }
+        : { missing: true };
+    }
+
+    case TOPIC_KINDS.LIVE:
+      return { data: { matches: await Match.getLiveMatches() } };
+
+    default:
+      return {
+        data: { matches: await Match.getActiveMatches({ [kind]: value }) },
+      };
   }
 };
 
 /**
- * Subscribe client to match updates
+ * Subscribe client to a topic
+ * Registers the subscription first and holds back live events while the
+ * snapshot loads, so the client sees: subscribed -> snapshot -> live events,
+ * with nothing lost or repeated in between
  * @param {WebSocket} ws - WebSocket client connection
- * @param {number} matchId - Match ID to subscribe to
+ * @param {string} topic - Normalized topic to subscribe to
+ * @param {Object} options - Subscribe options (match topics only)
+ * @param {number} [options.commentaryLimit] - Number of recent commentary entries to send
+ * @param {number} [options.lastSequence] - Resume cursor: replay commentary after it
+ * @param {string|number} [options.requestId] - Echoed in the reply or error
  */
-const handleSubscribe = (ws, matchId) => {
+const handleSubscribe = async (
+  ws,
+  topic,
+  {
+    commentaryLimit = DEFAULT_SNAPSHOT_COMMENTARY,
+    lastSequence,
+    requestId,
+  } = {},
+) => {
   const client = clients.get(ws);
+  const parsed = parseTopic(topic);
+  const matchId = parsed.kind === TOPIC_KINDS.MATCH ? parsed.value : undefined;
+
+  if (!client.topics.has(topic) && !canSubscribe(client)) {
+    sendJson(ws, {
+      type: "error",
+      code: "subscription_limit",
+      requestId,
+      topic,
+      matchId,
+      message: `Subscription limit reached (${WS_LIMITS.maxSubscriptions} topics)`,
+    });
+    return;
+  }
 
-  // Add match to client's subscriptions
-  client.matchIds.add(matchId);
+  // Start buffering live events for this topic
+  const pending = [];
+  client.pendingSnapshots.set(topic, pending);
+  addSubscription(ws, topic);
 
-  // Add client to match subscription list
-  if (!subscriptions.has(matchId)) {
-    subscriptions.set(matchId, new Set());
+  let snapshot;
+  try {
+    snapshot = await loadTopicSnapshot(parsed, {
+      commentaryLimit,
+      lastSequence,
+    });
+  } catch (error) {
+    if (!(error instanceof DatabaseUnavailableError)) {
+      log.error("Error loading snapshot", { topic, err: error });
+    }
+    rejectSubscription(ws, topic, pending, {
+      code: "snapshot_failed",
+      requestId,
+      retryAfterMs: error.retryAfterMs,
+      message: `Failed to load ${topic}`,
+    });
+    return;
   }
-  subscriptions.get(matchId).add(ws);
 
-  console.log(`${client.id} subscribed to match ${matchId}`);
-  console.log(
-    `Match ${matchId} has ${subscriptions.get(matchId).size} subscribers`,
-  );
+  if (snapshot.missing) {
+    rejectSubscription(ws, topic, pending, {
+      code: "not_found",
+      requestId,
+      message: `Match not found: ${matchId}`,
+    });
+    return;
+  }
+
+  // The client unsubscribed, disconnected or re-subscribed while we were loading
+  if (
+    ws.readyState !== 1 ||
+    !clients.has(ws) ||
+    client.pendingSnapshots.get(topic) !== pending
+  ) {
+    return;
+  }
+  client.pendingSnapshots.delete(topic);
+
+  log.debug("Subscribed", {
+    topic,
+    subscribers: subscriptions.get(topic).size,
+  });
 
   // Send confirmation
-  ws.send(
-    JSON.stringify({
-      type: "subscribed",
-      matchId: matchId,
-      message: `Subscribed to match ${matchId}`,
+  sendJson(ws, {
+    type: "subscribed",
+    requestId,
+    topic,
+    matchId,
+    message: `Subscribed to ${topic}`,
+  });
+
+  // Send current state
+  const { resumed, commentary = [], data } = snapshot;
+  if (matchId !== undefined) {
+    // Entries up to the snapshot's newest were committed before it was read,
+    // so the client has them (or asked to start after them)
+    client.commentaryCursors.set(
+      matchId,
+      Math.max(
+        data.match.last_commentary_sequence,
+        ...commentary.map((entry) => entry.sequence),
+      ),
+    );
+  }
+  sendJson(
+    ws,
+    toWireFormat({
+      type: "snapshot",
+      topic,
+      matchId,
+      resumed,
+      data,
     }),
   );
+
+  // Flush events that arrived while loading, skipping commentary the
+  // client already has (from the snapshot or from before it reconnected)
+  const sentIds = new Set(commentary.map((entry) => entry.id));
+  pending.forEach(({ data, message }) => {
+    if (
+      data.type === "commentary" &&
+      (sentIds.has(data.data?.id) ||
+        (resumed && data.data?.sequence <= lastSequence))
+    ) {
+      return;
+    }
+    sendToClient(ws, client, message, describeBroadcast(data));
+  });
 };
 
 /**
- * Unsubscribe client from match updates
+ * Undo a subscription whose snapshot could not be served
  * @param {WebSocket} ws - WebSocket client connection
- * @param {number} matchId - Match ID to unsubscribe from
+ * @param {string} topic - Topic
+ * @param {Array} pending - Buffer created by this subscribe attempt
+ * @param {Object} reason - Error sent to the client: { code, message,
+ *   requestId, retryAfterMs }
  */
-const handleUnsubscribe = (ws, matchId) => {
+const rejectSubscription = (ws, topic, pending, reason) => {
   const client = clients.get(ws);
 
-  // Remove match from client's subscriptions
-  client.matchIds.delete(matchId);
+  // A newer subscribe for the same topic owns the subscription now
+  if (!client || client.pendingSnapshots.get(topic) !== pending) {
+    return;
+  }
+  client.pendingSnapshots.delete(topic);
+  removeSubscription(ws, topic);
+
+  log.debug("Subscription rejected", { topic, reason: reason.message });
+
+  if (ws.readyState === 1) {
+    const parsed = parseTopic(topic);
+    sendJson(ws, {
+      type: "error",
+      code: reason.code,
+      requestId: reason.requestId,
+      retryAfterMs: reason.retryAfterMs,
+      topic,
+      matchId: parsed.kind === TOPIC_KINDS.MATCH ? parsed.value : undefined,
+      message: reason.message,
+    });
+  }
+};
+
+/**
+ * Add a client to a topic subscription list
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {string} topic - Topic
+ */
+const addSubscription = (ws, topic) => {
+  clients.get(ws).topics.add(topic);
+
+  if (!subscriptions.has(topic)) {
+    subscriptions.set(topic, new Set());
+  }
+  subscriptions.get(topic).add(ws);
+};
+
+/**
+ * Remove a client from a topic subscription list
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {string} topic - Topic
+ */
+const removeSubscription = (ws, topic) => {
+  clients.get(ws)?.topics.delete(topic);
 
-  // Remove client from match subscription list
-  if (subscriptions.has(matchId)) {
-    subscriptions.get(matchId).delete(ws);
+  if (subscriptions.has(topic)) {
+    subscriptions.get(topic).delete(ws);
 
     // Clean up empty subscription sets
-    if (subscriptions.get(matchId).size === 0) {
-      subscriptions.delete(matchId);
+    if (subscriptions.get(topic).size === 0) {
+      subscriptions.delete(topic);
     }
   }
+};
+
+/**
+ * Unsubscribe client from a topic
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {string} topic - Normalized topic to unsubscribe from
+ * @param {string|number} [requestId] - Echoed in the reply
+ */
+const handleUnsubscribe = (ws, topic, requestId) => {
+  const client = clients.get(ws);
+  const parsed = parseTopic(topic);
+
+  // Drop any snapshot still loading for this topic
+  client.pendingSnapshots.delete(topic);
+  removeSubscription(ws, topic);
+  if (parsed.kind === TOPIC_KINDS.MATCH) {
+    client.commentaryCursors.delete(parsed.value);
+  }
 
-  console.log(`${client.id} unsubscribed from match ${matchId}`);
+  log.debug("Unsubscribed", { topic });
 
   // Send confirmation
-  ws.send(
-    JSON.stringify({
-      type: "unsubscribed",
-      matchId: matchId,
-      message: `Unsubscribed from match ${matchId}`,
-    }),
-  );
+  sendJson(ws, {
+    type: "unsubscribed",
+    requestId,
+    topic,
+    matchId: parsed.kind === TOPIC_KINDS.MATCH ? parsed.value : undefined,
+    message: `Unsubscribed from ${topic}`,
+  });
 };
 
 /**
@@ -197,24 +704,23 @@ const handleDisconnect = (ws) => {
   const client = clients.get(ws);
 
   if (client) {
-    console.log(`Client disconnected: ${client.id}`);
-
-    // Remove client from all match subscriptions
-    client.matchIds.forEach((matchId) => {
-      if (subscriptions.has(matchId)) {
-        subscriptions.get(matchId).delete(ws);
+    // Remove client from all topic subscriptions
+    client.topics.forEach((topic) => {
+      if (subscriptions.has(topic)) {
+        subscriptions.get(topic).delete(ws);
 
         // Clean up empty subscription sets
-        if (subscriptions.get(matchId).size === 0) {
-          subscriptions.delete(matchId);
+        if (subscriptions.get(topic).size === 0) {
+          subscriptions.delete(topic);
         }
       }
     });
 
     // Remove client metadata
     clients.delete(ws);
+    releaseConnection(client.ip);
 
-    console.log(`Total connections: ${clients.size}`);
+    log.info("WebSocket client disconnected", { connections: clients.size });
   }
 };
 
@@ -224,62 +730,195 @@ const handleDisconnect = (ws) => {
  * @param {Error} error - Error object
  */
 const handleError = (ws, error) => {
-  const client = clients.get(ws);
-  console.error(
-    `WebSocket error for ${client?.id || "unknown"}:`,
-    error.message,
-  );
+  log.warn("WebSocket error", { err: error });
 };
 
 /**
- * Broadcast message to all clients subscribed to a specific match
+ * Collect the sockets subscribed to any of the given topics
+ * Each socket appears once. Its value is the snapshot buffer to hold the
+ * event in, or null to send it now: a socket with any topic already past
+ * its snapshot gets the event immediately, otherwise it goes to the buffer
+ * of the first matching topic (the match topic when there is one)
+ * @param {Array<string>} topics - Topics of the event
+ * @returns {Map<WebSocket, Array|null>} - Recipients
+ */
+const collectRecipients = (topics) => {
+  const recipients = new Map();
+
+  topics.forEach((topic) => {
+    subscriptions.get(topic)?.forEach((ws) => {
+      const pending = clients.get(ws)?.pendingSnapshots.get(topic) ?? null;
+      if (!recipients.has(ws) || pending === null) {
+        recipients.set(ws, pending);
+      }
+    });
+  });
+
+  return recipients;
+};
+
+/**
+ * Check whether a client already has a commentary entry from its match
+ * snapshot
+ * Recipients are looked up when the broadcast window flushes, so a client
+ * that subscribed during the window may have loaded an entry queued before
+ * it subscribed
+ * @param {Object} clientData - Client metadata
  * @param {number} matchId - Match ID
- * @param {Object} data - Data to broadcast
+ * @param {Object} data - Message object in wire format
+ * @returns {boolean} - True if the entry must not be sent again
+ */
+const coveredBySnapshot = (clientData, matchId, data) =>
+  data.type === MATCH_EVENTS.COMMENTARY &&
+  data.data?.sequence <= clientData?.commentaryCursors.get(matchId);
+
+/**
+ * Send one flush worth of events for a match
+ * Each event is converted to wire format once and encoded at most once per
+ * encoding.
+ * A client subscribed through several topics gets each event once; clients
+ * that opted in to batching get all of their events in a single frame:
+ *   { type: "batch", matchId, events: [message, ...] }
+ * @param {number} matchId - Match ID
+ * @param {Array<Object>} items - Queued { match, data, options }, in order
  */
-const broadcastToMatch = (matchId, data) => {
-  const subscribers = subscriptions.get(matchId);
+const sendMatchEvents = (matchId, items) => {
+  const endTimer = broadcastDuration.startTimer({ scope: "match" });
+  const events = items.map(({ match, data, options }) => {
+    const wireData = toWireFormat(data);
+    return {
+      data: wireData,
+      message: createMessage(wireData),
+      recipients: collectRecipients(matchTopics(match, options)),
+    };
+  });
 
-  if (!subscribers || subscribers.size === 0) {
-    console.log(`No subscribers for match ${matchId}`);
+  // Event indexes to send now, per client
+  const outbox = new Map();
+  events.forEach(({ data, message, recipients }, index) => {
+    recipients.forEach((pending, client) => {
+      if (client.readyState !== 1) {
+        return;
+      }
+      // Hold events back until the subscribe snapshot has been sent
+      if (pending) {
+        pending.push({ data, message });
+        return;
+      }
+      if (coveredBySnapshot(clients.get(client), matchId, data)) {
+        return;
+      }
+      if (!outbox.has(client)) {
+        outbox.set(client, []);
+      }
+      outbox.get(client).push(index);
+    });
+  });
+
+  if (outbox.size === 0) {
+    log.debug("No subscribers for match", { matchId });
+    endTimer();
     return;
   }
 
-  // Sanitize data before broadcasting
-  const sanitizedData = sanitizeData(data);
-  const message = JSON.stringify(sanitizedData);
+  log.debug("Broadcasting match events", {
+    matchId,
+    events: events.length,
+    subscribers: outbox.size,
+  });
 
-  console.log(
-    `Broadcasting to ${subscribers.size} subscribers of match ${matchId}`,
-  );
+  // Clients with the same events share one batch frame
+  const batchFrames = new Map();
+  const batchFrame = (indexes) => {
+    const key = indexes.join(",");
+    if (!batchFrames.has(key)) {
+      const messages = indexes.map((index) => events[index].message);
+      batchFrames.set(
+        key,
+        createMessage(
+          {
+            type: "batch",
+            matchId,
+            events: messages.map((message) => message.data),
+          },
+          {
+            // Reuse the JSON of each event instead of serializing it again
+            [ENCODINGS.JSON]: () =>
+              `{"type":"batch","matchId":${matchId},"events":[${messages
+                .map((message) => message.encode(ENCODINGS.JSON))
+                .join(",")}]}`,
+          },
+        ),
+      );
+    }
+    return batchFrames.get(key);
+  };
 
-  // Send to all subscribers with backpressure handling
+  // Send to all subscribers; slow ones queue (see wsOutbound.js)
   let successCount = 0;
   let failureCount = 0;
 
-  subscribers.forEach((client) => {
+  outbox.forEach((indexes, client) => {
     try {
-      // Check if client is ready to receive data
-      if (client.readyState === 1) {
-        // WebSocket.OPEN
-        // Check buffered amount for backpressure
-        if (client.bufferedAmount < 1024 * 1024) {
-          // 1MB threshold
-          client.send(message);
-          successCount++;
-        } else {
-          console.warn(`Client has high buffered amount, skipping send`);
-          failureCount++;
-        }
+      const clientData = clients.get(client);
+      if (clientData?.batch && indexes.length > 1) {
+        sendToClient(client, clientData, batchFrame(indexes), {
+          kind: MESSAGE_KINDS.EVENT,
+          matchId,
+        });
+      } else {
+        indexes.forEach((index) =>
+          sendToClient(
+            client,
+            clientData,
+            events[index].message,
+            describeBroadcast(events[index].data),
+          ),
+        );
       }
+      successCount++;
     } catch (error) {
-      console.error("Error broadcasting to client:", error);
+      log.error("Error broadcasting to client", { err: error });
       failureCount++;
     }
   });
 
-  console.log(
-    `Broadcast complete: ${successCount} sent, ${failureCount} failed`,
-  );
+  endTimer();
+  log.debug("Broadcast complete", {
+    matchId,
+    sent: successCount,
+    failed: failureCount,
+  });
+};
+
+/**
+ * Per-match throttle in front of sendMatchEvents
+ */
+const scheduler = createBroadcastScheduler({
+  windowMs: BROADCAST_WINDOW_MS,
+  coalescedTypes: [MATCH_EVENTS.SCORE_UPDATE],
+  flush: sendMatchEvents,
+});
+
+/**
+ * Broadcast a match event to every client subscribed to one of its topics
+ * (match, sport, teams, and live while the match is live)
+ * Events go through the per-match scheduler: at most one send per
+ * BROADCAST_WINDOW_MS, score updates merged, everything else in order
+ * @param {Object} match - Match row the event is about
+ * @param {Object} data - Data to broadcast
+ * @param {Object} [options] - Passed to matchTopics (previousStatus)
+ */
+const broadcastToMatch = (match, data, options) => {
+  scheduler.enqueue(Number(match.id), { match, data, options });
+};
+
+/**
+ * Send every queued match event now
+ * Used before shutdown so the last updates are not lost
+ */
+const flushBroadcasts = () => {
+  scheduler.flushAll();
 };
 
 /**
@@ -287,24 +926,56 @@ const broadcastToMatch = (matchId, data) => {
  * @param {Object} data - Data to broadcast
  */
 const broadcastToAll = (data) => {
-  const sanitizedData = sanitizeData(data);
-  const message = JSON.stringify(sanitizedData);
+  // Keep per-match order: queued events for the match go first
+  if (data.matchId !== undefined) {
+    scheduler.flush(data.matchId);
+  }
+
+  const endTimer = broadcastDuration.startTimer({ scope: "all" });
+  const wireData = toWireFormat(data);
+  const message = createMessage(wireData);
 
-  console.log(`Broadcasting to all ${clients.size} clients`);
+  log.debug("Broadcasting to all clients", {
+    type: data.type,
+    clients: clients.size,
+  });
 
   clients.forEach((clientData, ws) => {
     try {
-      if (ws.readyState === 1 && ws.bufferedAmount < 1024 * 1024) {
-        ws.send(message);
-      }
+      sendToClient(ws, clientData, message, describeBroadcast(wireData));
     } catch (error) {
-      console.error("Error broadcasting to client:", error);
+      log.error("Error broadcasting to client", { err: error });
     }
   });
+  endTimer();
+};
+
+/**
+ * Ask every client to catch up on each topic it is subscribed to
+ * For events that were missed without any client falling behind, e.g.
+ * while the event relay was reconnecting. Match topics carry their
+ * matchId, like the resync_required notices sent to slow clients.
+ * @param {string} reason - Machine-readable cause
+ * @param {string} message - Explanation for the client
+ */
+const requestResync = (reason, message) => {
+  clients.forEach((client, ws) => {
+    client.topics.forEach((topic) => {
+      const parsed = parseTopic(topic);
+      sendJson(ws, {
+        type: "resync_required",
+        topic,
+        matchId: parsed.kind === TOPIC_KINDS.MATCH ? parsed.value : undefined,
+        reason,
+        message,
+      });
+    });
+  });
 };
 
 /**
  * Get statistics about current connections
+ * WebSocket figures are at the top level; SSE streams are under `sse`
  * @returns {Object} - Connection statistics
  */
 const getStats = () => {
@@ -312,11 +983,19 @@ const getStats = () => {
     totalClients: clients.size,
     totalSubscriptions: subscriptions.size,
     subscriptionDetails: Array.from(subscriptions.entries()).map(
-      ([matchId, subs]) => ({
-        matchId,
+      ([topic, subs]) => ({
+        topic,
         subscriberCount: subs.size,
       }),
     ),
+    clientDetails: Array.from(clients.values()).map((client) => ({
+      clientId: client.id,
+      userId: client.userId,
+      topicCount: client.topics.size,
+      outbound: getOutboundStats(client),
+    })),
+    broadcastQueue: scheduler.getStats(),
+    sse: getSseStats(),
   };
 };
 
@@ -324,6 +1003,9 @@ export {
   handleConnection,
   broadcastToMatch,
   broadcastToAll,
+  flushBroadcasts,
+  requestResync,
   getStats,
+  serviceStatusMessage,
   clients,
 };
@@ -0,0 +1,311 @@
+// src/websocket/wsOutbound.js
+// Per-client outbound queues with a slow-consumer policy
+
+import { CLOSE_CODES } from "./wsRateLimit.js";
+import { createMessage } from "./wsEncoding.js";
+import { logger } from "../utils/logger.js";
+import { createCounter } from "../metrics/metrics.js";
+
+const log = logger.child({ module: "websocket" });
+
+/**
+ * Messages handed to sockets, by message type
+ */
+const messagesSent = createCounter({
+  name: "sportz_ws_messages_sent_total",
+  help: "WebSocket messages sent to clients, by message type",
+  labelNames: ["type"],
+});
+
+/**
+ * Messages not delivered as sent because a client was not keeping up
+ *   coalesced     - a queued state message replaced by a newer one
+ *   dropped_state - a state message dropped from a full queue
+ *   dropped_event - an event dropped from a full queue
+ *   disconnected  - a slow consumer disconnected
+ */
+const backpressureSkips = createCounter({
+  name: "sportz_ws_backpressure_skips_total",
+  help: "WebSocket messages skipped for slow clients, by reason",
+  labelNames: ["reason"],
+});
+
+/**
+ * Limits (overridable from the environment)
+ */
+const OUTBOUND_LIMITS = {
+  // Socket buffer size above which messages wait in the client's queue
+  highWaterBytes:
+    parseInt(process.env.WS_OUTBOUND_HIGH_WATER_BYTES) || 1024 * 1024,
+  // Messages a client's queue may hold before events are dropped
+  maxQueuedMessages: parseInt(process.env.WS_MAX_QUEUED_MESSAGES) || 500,
+  // How long a queue may stay full before the client is disconnected
+  slowConsumerTimeoutMs:
+    parseInt(process.env.WS_SLOW_CONSUMER_TIMEOUT) || 30000,
+};
+
+/**
+ * Kinds of outbound message, in the order they are dropped when a queue
+ * is full
+ *   state   - Score updates; a newer one for the same match replaces a
+ *             queued one, and they are dropped first when the queue is full
+ *   event   - Commentary and other match events; dropping one sends the
+ *             client resync_required for that match
+ *   control - Replies, snapshots and resync notices; never dropped
+ */
+const MESSAGE_KINDS = Object.freeze({
+  STATE: "state",
+  EVENT: "event",
+  CONTROL: "control",
+});
+
+/**
+ * Create the outbound state stored in a client's metadata
+ * @returns {Object} - { queue, overLimitSince, resyncMatches, stats }
+ */
+const createOutboundQueue = () => ({
+  queue: [], // [{ frame, type, kind, key, matchId, resync }]
+  overLimitSince: null, // When the queue last became full, or null
+  resyncMatches: new Set(), // Matches with a resync notice queued
+  stats: {
+    sent: 0,
+    coalesced: 0,
+    droppedState: 0,
+    droppedEvents: 0,
+    resyncs: 0,
+    maxDepth: 0,
+  },
+});
+
+/**
+ * Describe a broadcast message for the queue
+ * @param {Object} data - Message object in wire format
+ * @returns {Object} - { kind, key, matchId }
+ */
+const describeBroadcast = (data) => {
+  if (data.type === "score_update") {
+    return {
+      kind: MESSAGE_KINDS.STATE,
+      key: `score_update:${data.matchId}`,
+      matchId: data.matchId,
+    };
+  }
+  if (data.matchId !== undefined) {
+    return { kind: MESSAGE_KINDS.EVENT, matchId: data.matchId };
+  }
+  return { kind: MESSAGE_KINDS.CONTROL };
+};
+
+/**
+ * Hand a message to the socket and keep draining as writes complete
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {Object} client - Client metadata
+ * @param {Object} item - Queue item
+ */
+const transmit = (ws, client, item) => {
+  const { outbound } = client;
+  if (item.resync) {
+    outbound.resyncMatches.delete(item.matchId);
+  }
+  outbound.stats.sent++;
+  messagesSent.inc({ type: item.type });
+  ws.send(item.frame, (error) => {
+    if (!error) {
+      drain(ws, client);
+    }
+  });
+};
+
+/**
+ * Send queued messages while the socket buffer has room
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {Object} client - Client metadata
+ */
+const drain = (ws, client) => {
+  const { outbound } = client;
+  while (
+    outbound.queue.length > 0 &&
+    ws.readyState === 1 &&
+    ws.bufferedAmount < OUTBOUND_LIMITS.highWaterBytes
+  ) {
+    transmit(ws, client, outbound.queue.shift());
+  }
+  // Back within the limit: a later overflow gets the full grace period
+  if (outbound.queue.length <= OUTBOUND_LIMITS.maxQueuedMessages) {
+    outbound.overLimitSince = null;
+  }
+};
+
+/**
+ * Disconnect a client whose queue has stayed full for longer than
+ * slowConsumerTimeoutMs
+ * Checked whenever a message is queued and from the heartbeat, so a client
+ * stuck while no new messages arrive is disconnected too
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {Object} client - Client metadata
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} - True if the client was disconnected
+ */
+const checkSlowConsumer = (ws, client, now = Date.now()) => {
+  const { outbound } = client;
+  if (
+    outbound.overLimitSince === null ||
+    now - outbound.overLimitSince <= OUTBOUND_LIMITS.slowConsumerTimeoutMs
+  ) {
+    return false;
+  }
+  log.warn("Disconnecting slow consumer", { clientId: client.id });
+  backpressureSkips.inc({ reason: "disconnected" });
+  outbound.queue = [];
+  outbound.overLimitSince = null;
+  ws.close(CLOSE_CODES.POLICY_VIOLATION, "Client too slow");
+  return true;
+};
+
+/**
+ * Queue a resync_required notice for a match, once until it is sent
+ * @param {Object} client - Client metadata
+ * @param {number} matchId - Match whose events were dropped
+ */
+const queueResync = (client, matchId) => {
+  const { outbound } = client;
+  if (outbound.resyncMatches.has(matchId)) {
+    return;
+  }
+  outbound.resyncMatches.add(matchId);
+  outbound.stats.resyncs++;
+  outbound.queue.push({
+    frame: createMessage({
+      type: "resync_required",
+      matchId,
+      message:
+        "Events were dropped because the connection is too slow; resubscribe with lastSequence to catch up",
+    }).encode(client.encoding),
+    type: "resync_required",
+    kind: MESSAGE_KINDS.CONTROL,
+    matchId,
+    resync: true,
+  });
+};
+
+/**
+ * Drop messages until the queue is back within its limit
+ * Score updates go first, then the oldest events (with a resync notice)
+ * @param {Object} client - Client metadata
+ */
+const shedLoad = (client) => {
+  const { outbound } = client;
+  while (outbound.queue.length > OUTBOUND_LIMITS.maxQueuedMessages) {
+    let index = outbound.queue.findIndex(
+      (item) => item.kind === MESSAGE_KINDS.STATE,
+    );
+    if (index === -1) {
+      index = outbound.queue.findIndex(
+        (item) => item.kind === MESSAGE_KINDS.EVENT,
+      );
+    }
+    if (index === -1) {
+      // Only control messages left; the slow-consumer timeout handles it
+      return;
+    }
+
+    const [dropped] = outbound.queue.splice(index, 1);
+    if (dropped.kind === MESSAGE_KINDS.STATE) {
+      outbound.stats.droppedState++;
+      backpressureSkips.inc({ reason: "dropped_state" });
+    } else {
+      outbound.stats.droppedEvents++;
+      backpressureSkips.inc({ reason: "dropped_event" });
+      queueResync(client, dropped.matchId);
+    }
+  }
+};
+
+/**
+ * Send a message to a client through its outbound queue
+ * The message is encoded for the client's current encoding right away, so
+ * a later encoding change does not affect what is already queued.
+ * Messages go straight to the socket while it keeps up. Otherwise they
+ * wait in the queue, which is bounded: see MESSAGE_KINDS for what is
+ * dropped. A client whose queue stays full for slowConsumerTimeoutMs is
+ * disconnected.
+ * @param {WebSocket} ws - WebSocket client connection
+ * @param {Object} client - Client metadata
+ * @param {Object} message - Message from wsEncoding.createMessage
+ * @param {Object} [options] - Message description
+ * @param {string} [options.kind] - One of MESSAGE_KINDS (default control)
+ * @param {string} [options.key] - Coalescing key for state messages
+ * @param {number} [options.matchId] - Match the message is about
+ * @returns {boolean} - False if the client is not open
+ */
+const sendToClient = (
+  ws,
+  client,
+  message,
+  { kind = MESSAGE_KINDS.CONTROL, key, matchId } = {},
+) => {
+  if (ws.readyState !== 1 || !client) {
+    return false;
+  }
+
+  const { outbound } = client;
+  const item = {
+    frame: message.encode(client.encoding),
+    type: message.data?.type ?? "unknown",
+    kind,
+    key,
+    matchId,
+  };
+  if (
+    outbound.queue.length === 0 &&
+    ws.bufferedAmount < OUTBOUND_LIMITS.highWaterBytes
+  ) {
+    transmit(ws, client, item);
+    return true;
+  }
+
+  // Only the latest state per key is worth sending
+  if (key) {
+    const index = outbound.queue.findIndex((queued) => queued.key === key);
+    if (index !== -1) {
+      outbound.queue.splice(index, 1);
+      outbound.stats.coalesced++;
+      backpressureSkips.inc({ reason: "coalesced" });
+    }
+  }
+  outbound.queue.push(item);
+  outbound.stats.maxDepth = Math.max(
+    outbound.stats.maxDepth,
+    outbound.queue.length,
+  );
+
+  if (outbound.queue.length > OUTBOUND_LIMITS.maxQueuedMessages) {
+    outbound.overLimitSince ??= Date.now();
+    if (checkSlowConsumer(ws, client)) {
+      return true;
+    }
+    shedLoad(client);
+  }
+  return true;
+};
+
+/**
+ * Get outbound queue statistics for a client
+ * @param {Object} client - Client metadata
+ * @returns {Object} - Queue depth and counters
+ */
+const getOutboundStats = (client) => ({
+  queueDepth: client.outbound.queue.length,
+  overLimitSince: client.outbound.overLimitSince,
+  ...client.outbound.stats,
+});
+
+export {
+  OUTBOUND_LIMITS,
+  MESSAGE_KINDS,
+  createOutboundQueue,
+  describeBroadcast,
+  sendToClient,
+  checkSlowConsumer,
+  getOutboundStats,
+};
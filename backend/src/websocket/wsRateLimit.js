@@ -0,0 +1,149 @@
+// src/websocket/wsRateLimit.js
+// Abuse protection for WebSocket clients: message rate, subscriptions, connections
+
+import {
+  TokenBucket,
+  createKeyedLimiter,
+  getClientIp,
+} from "../utils/tokenBucket.js";
+
+/**
+ * Limits (overridable from the environment)
+ */
+const WS_LIMITS = {
+  // Messages per connection: burst and sustained rate
+  messageBurst: parseInt(process.env.WS_MESSAGE_BURST) || 20,
+  messagesPerSecond: parseInt(process.env.WS_MESSAGES_PER_SECOND) || 5,
+  // Messages per IP across all of its connections
+  ipMessageBurst: parseInt(process.env.WS_IP_MESSAGE_BURST) || 100,
+  ipMessagesPerSecond: parseInt(process.env.WS_IP_MESSAGES_PER_SECOND) || 25,
+  // Matches one connection may subscribe to
+  maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 50,
+  // Open connections per IP
+  maxConnectionsPerIp: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP) || 10,
+  // Rate limit violations tolerated within the window before disconnecting
+  maxViolations: parseInt(process.env.WS_MAX_RATE_VIOLATIONS) || 10,
+  violationWindowMs: parseInt(process.env.WS_RATE_VIOLATION_WINDOW) || 60000,
+};
+
+/**
+ * WebSocket close codes used for abuse handling (RFC 6455)
+ */
+const CLOSE_CODES = {
+  POLICY_VIOLATION: 1008,
+  TRY_AGAIN_LATER: 1013,
+};
+
+/**
+ * Open connections per IP
+ * Structure: Map<ip, number>
+ */
+const connectionsPerIp = new Map();
+
+const ipMessageLimiter = createKeyedLimiter(
+  WS_LIMITS.ipMessageBurst,
+  WS_LIMITS.ipMessagesPerSecond,
+);
+
+/**
+ * Check whether an IP may open another connection
+ * @param {string} ip - Client IP
+ * @returns {boolean} - True if under the per-IP connection cap
+ */
+const canConnect = (ip) =>
+  (connectionsPerIp.get(ip) ?? 0) < WS_LIMITS.maxConnectionsPerIp;
+
+/**
+ * Count a new connection against its IP
+ * @param {string} ip - Client IP
+ */
+const trackConnection = (ip) => {
+  connectionsPerIp.set(ip, (connectionsPerIp.get(ip) ?? 0) + 1);
+};
+
+/**
+ * Release a closed connection from its IP's count
+ * @param {string} ip - Client IP
+ */
+const releaseConnection = (ip) => {
+  const count = (connectionsPerIp.get(ip) ?? 1) - 1;
+  if (count <= 0) {
+    connectionsPerIp.delete(ip);
+  } else {
+    connectionsPerIp.set(ip, count);
+  }
+};
+
+/**
+ * Create the per-connection rate limit state stored in client metadata
+ * @returns {Object} - { bucket, violations: number[] }
+ */
+const createClientRateLimit = () => ({
+  bucket: new TokenBucket(
+    WS_LIMITS.messageBurst,
+    WS_LIMITS.messagesPerSecond,
+  ),
+  violations: [],
+});
+
+/**
+ * Check an incoming message against the connection and IP limits
+ * @param {Object} client - Client metadata (with ip and rateLimit)
+ * @returns {Object} - { allowed, retryAfterMs, disconnect }
+ *   disconnect is true once the client has exceeded its violation budget
+ */
+const checkMessageRate = (client) => {
+  const { bucket, violations } = client.rateLimit;
+
+  if (bucket.take()) {
+    if (ipMessageLimiter.take(client.ip)) {
+      return { allowed: true };
+    }
+    // The connection is within its own limit but its IP is not
+    return {
+      allowed: false,
+      retryAfterMs: ipMessageLimiter.retryAfterMs(client.ip),
+      disconnect: recordViolation(violations),
+    };
+  }
+
+  return {
+    allowed: false,
+    retryAfterMs: bucket.retryAfterMs(),
+    disconnect: recordViolation(violations),
+  };
+};
+
+/**
+ * Record a violation and report whether the client is a repeat offender
+ * @param {Array<number>} violations - Violation timestamps (mutated)
+ * @returns {boolean} - True if the client should be disconnected
+ */
+const recordViolation = (violations) => {
+  const now = Date.now();
+  violations.push(now);
+  while (violations.length && violations[0] <= now - WS_LIMITS.violationWindowMs) {
+    violations.shift();
+  }
+  return violations.length > WS_LIMITS.maxViolations;
+};
+
+/**
+ * Check whether a client may subscribe to one more topic
+ * @param {Object} client - Client metadata
+ * @returns {boolean} - True if under the subscription cap
+ */
+const canSubscribe = (client) =>
+  client.topics.size < WS_LIMITS.maxSubscriptions;
+
+export {
+  WS_LIMITS,
+  CLOSE_CODES,
+  getClientIp,
+  canConnect,
+  trackConnection,
+  releaseConnection,
+  createClientRateLimit,
+  checkMessageRate,
+  canSubscribe,
+};
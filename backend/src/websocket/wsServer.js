@@ -1,8 +1,94 @@
 // src/websocket/wsServer.js
 // WebSocket server initialization with heartbeat and health monitoring
 
-import { Server } from "ws";
-import { handleConnection, clients } from "./wsHandlers.js";
+import { WebSocketServer } from "ws";
+import { handleConnection, clients, flushBroadcasts } from "./wsHandlers.js";
+import {
+  registerMatchBroadcasts,
+  registerStatusBroadcasts,
+  registerRelayResyncBroadcasts,
+} from "./wsBroadcaster.js";
+import { verifyToken, extractToken, AuthError } from "../auth/token.js";
+import { canConnect, getClientIp } from "./wsRateLimit.js";
+import { checkSlowConsumer } from "./wsOutbound.js";
+import { selectProtocol, createMessage } from "./wsEncoding.js";
+import { logger } from "../utils/logger.js";
+import { createCounter } from "../metrics/metrics.js";
+
+const log = logger.child({ module: "websocket" });
+
+/**
+ * Connections terminated for missing a heartbeat
+ */
+const heartbeatTerminations = createCounter({
+  name: "sportz_ws_heartbeat_terminations_total",
+  help: "WebSocket connections terminated for not answering a heartbeat ping",
+});
+
+/**
+ * permessage-deflate settings (WS_COMPRESSION=false turns it off)
+ * Frames under the threshold (pongs, acks, most score updates) go out
+ * uncompressed: for them deflate costs more CPU than it saves bytes.
+ * The server keeps its compression context between messages, since our
+ * JSON repeats the same keys, but with a smaller window and memLevel to
+ * bound memory per connection. Client messages are tiny, so clients are
+ * asked not to keep theirs.
+ */
+const perMessageDeflate =
+  process.env.WS_COMPRESSION === "false"
+    ? false
+    : {
+        threshold: parseInt(process.env.WS_COMPRESSION_THRESHOLD) || 512,
+        zlibDeflateOptions: { level: 6, memLevel: 7 },
+        serverMaxWindowBits: 12,
+        clientNoContextTakeover: true,
+        // Deflate jobs running at once; the rest wait their turn
+        concurrencyLimit: 10,
+      };
+
+/**
+ * HTTP server carrying WebSocket upgrades while connections are accepted
+ * (null before initWebSocketServer and once shutdown has started)
+ */
+let upgradeServer = null;
+
+/**
+ * Authenticate a WebSocket upgrade request
+ * Rejects IPs already at the connection cap, then checks the token.
+ * The token comes from the Authorization header or the `token` query
+ * parameter; its claims are attached to the request as `req.user` for
+ * handleConnection
+ * @param {Object} info - { origin, secure, req }
+ * @param {Function} callback - (result, code, message) => void
+ */
+const verifyClient = (info, callback) => {
+  const ip = getClientIp(info.req);
+  if (!canConnect(ip)) {
+    log.warn("Rejected WebSocket connection: too many connections", { ip });
+    callback(false, 429, "Too many connections");
+    return;
+  }
+
+  const token = extractToken(info.req);
+  if (!token) {
+    callback(false, 401, "Authentication required");
+    return;
+  }
+
+  try {
+    const claims = verifyToken(token);
+    info.req.user = { id: claims.sub, role: claims.role };
+    callback(true);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      log.error("Could not verify WebSocket token", { err: error });
+      callback(false, 500, "Internal Server Error");
+      return;
+    }
+    log.info("Rejected WebSocket connection", { error: error.message });
+    callback(false, 401, "Unauthorized");
+  }
+};
 
 /**
  * Initialize WebSocket Server
@@ -11,7 +97,7 @@ import { handleConnection, clients } from "./wsHandlers.js";
  */
 const initWebSocketServer = (server) => {
   // Create WebSocket server
-  const wss = new Server({
+  const wss = new WebSocketServer({
     server,
     // Path for WebSocket connections
     path: "/ws",
@@ -20,33 +106,47 @@ const initWebSocketServer = (server) => {
     // Client tracking
     clientTracking: true,
     // Verify client before upgrade
-    verifyClient: (info, callback) => {
-      // Add custom verification logic here if needed
-      // For now, accept all connections
-      callback(true);
-    },
+    verifyClient,
+    // Compress large frames
+    perMessageDeflate,
+    // Pick the message encoding from the offered subprotocols
+    handleProtocols: selectProtocol,
   });
 
-  console.log(" WebSocket server initialized on path: /ws");
+  upgradeServer = server;
+  log.info("WebSocket server initialized", { path: "/ws" });
 
   // Handle new connections
   wss.on("connection", handleConnection);
 
   // Handle server-level errors
   wss.on("error", (error) => {
-    console.error(" WebSocket Server Error:", error);
+    log.error("WebSocket server error", { err: error });
   });
 
   // Set up heartbeat mechanism to detect dead connections
   setupHeartbeat(wss);
 
+  // Forward match events from the model layer to subscribers
+  const unregisterBroadcasts = registerMatchBroadcasts();
+  wss.on("close", unregisterBroadcasts);
+
+  // Tell clients when the database goes down or recovers
+  const unregisterStatus = registerStatusBroadcasts();
+  wss.on("close", unregisterStatus);
+
+  // Tell clients to catch up when updates from other instances were missed
+  const unregisterRelayResync = registerRelayResyncBroadcasts();
+  wss.on("close", unregisterRelayResync);
+
   return wss;
 };
 
 /**
  * Heartbeat Mechanism
  * Periodically pings clients to check if they're still alive
- * Terminates dead connections to free up resources
+ * Terminates dead connections and disconnects slow consumers to free up
+ * resources
  *
  * @param {WebSocket.Server} wss - WebSocket server instance
  */
@@ -55,9 +155,7 @@ const setupHeartbeat = (wss) => {
   const heartbeatInterval =
     parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000;
 
-  console.log(
-    `Heartbeat mechanism enabled (interval: ${heartbeatInterval}ms)`,
-  );
+  log.info("Heartbeat mechanism enabled", { intervalMs: heartbeatInterval });
 
   /**
    * Heartbeat interval timer
@@ -71,12 +169,19 @@ const setupHeartbeat = (wss) => {
     clients.forEach((clientData, ws) => {
       // If client didn't respond to last ping, terminate connection
       if (clientData.isAlive === false) {
-        console.log(` Terminating dead connection: ${clientData.id}`);
+        log.info("Terminating dead connection", { clientId: clientData.id });
         deadCount++;
+        heartbeatTerminations.inc();
         ws.terminate();
         return;
       }
 
+      // Clients stuck with a full queue get no new messages to trigger
+      // the slow-consumer check, so it runs here as well
+      if (checkSlowConsumer(ws, clientData)) {
+        return;
+      }
+
       // Mark as not alive until pong is received
       clientData.isAlive = false;
 
@@ -85,14 +190,15 @@ const setupHeartbeat = (wss) => {
         ws.ping();
         aliveCount++;
       } catch (error) {
-        console.error(`Error pinging ${clientData.id}:`, error.message);
+        log.error("Error pinging client", {
+          clientId: clientData.id,
+          err: error,
+        });
       }
     });
 
     if (aliveCount > 0 || deadCount > 0) {
-      console.log(
-        ` Heartbeat: ${aliveCount} pinged, ${deadCount} terminated`,
-      );
+      log.debug("Heartbeat", { pinged: aliveCount, terminated: deadCount });
     }
   }, heartbeatInterval);
 
@@ -101,39 +207,56 @@ const setupHeartbeat = (wss) => {
    */
   wss.on("close", () => {
     clearInterval(interval);
-    console.log(" Heartbeat mechanism stopped");
+    log.info("Heartbeat mechanism stopped");
   });
 };
 
 /**
  * Gracefully shutdown WebSocket server
+ * Resolves once every client has disconnected and the server is closed
  * @param {WebSocket.Server} wss - WebSocket server instance
+ * @returns {Promise<void>}
  */
 const shutdownWebSocketServer = (wss) => {
-  console.log(" Shutting down WebSocket server...");
-
-  // Close all active connections
-  clients.forEach((clientData, ws) => {
-    if (ws.readyState === 1) {
-      ws.send(
-        JSON.stringify({
-          type: "server_shutdown",
-          message: "Server is shutting down",
-        }),
-      );
-      ws.close(1001, "Server shutting down");
-    } else {
-      ws.terminate();
-    }
-  });
+  log.info("Shutting down WebSocket server");
+  upgradeServer = null;
+
+  // Deliver match events still waiting in the broadcast window
+  flushBroadcasts();
+
+  return new Promise((resolve) => {
+    // Stop accepting new connections; the callback fires after all
+    // tracked clients have closed
+    wss.close(() => {
+      log.info("WebSocket server closed");
+      resolve();
+    });
 
-  // Close the server
-  wss.close(() => {
-    console.log(" WebSocket server closed");
+    // Close all active connections
+    const shutdownMessage = createMessage({
+      type: "server_shutdown",
+      message: "Server is shutting down",
+    });
+    clients.forEach((clientData, ws) => {
+      if (ws.readyState === 1) {
+        ws.send(shutdownMessage.encode(clientData.encoding));
+        ws.close(1001, "Server shutting down");
+      } else {
+        ws.terminate();
+      }
+    });
   });
 };
 
+/**
+ * Check whether new WebSocket connections are accepted: the server is
+ * initialized, its HTTP server is listening, and shutdown has not started
+ * @returns {boolean}
+ */
+const isAcceptingConnections = () => upgradeServer?.listening === true;
+
 export default {
   initWebSocketServer,
   shutdownWebSocketServer,
+  isAcceptingConnections,
 };
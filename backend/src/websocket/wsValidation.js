@@ -1,141 +1,371 @@
 // src/websocket/wsValidation.js
 // WebSocket message validation to ensure data integrity and security
+// Message schemas are registered as "ws.<type>" in validation/registry.js
+
+import { ENCODINGS } from "./wsEncoding.js";
+import { registerSchema, hasSchema, validate } from "../validation/registry.js";
+import {
+  ERROR_CODES,
+  integer,
+  oneOf,
+  optional,
+  custom,
+  object,
+  validateSchema,
+} from "../validation/schema.js";
+import { checkText } from "../validation/text.js";
 
 /**
- * Validate incoming WebSocket messages
- * Ensures messages have required fields and proper format
+ * Maximum number of commentary entries a client may request on subscribe
  */
+const MAX_COMMENTARY_LIMIT = 100;
 
 /**
- * Check if a value is a valid JSON string
- * @param {string} str - String to validate
- * @returns {boolean} - True if valid JSON
+ * Maximum length of the name in a sport or team topic
  */
-const isValidJSON = (str) => {
-  try {
-    JSON.parse(str);
-    return true;
-  } catch (e) {
-    return false;
-  }
-};
+const MAX_TOPIC_NAME_LENGTH = 100;
 
 /**
- * Validate subscribe message
- * Expected format: { type: 'subscribe', matchId: number }
+ * Maximum length of a client-supplied request id
  */
-const validateSubscribeMessage = (message) => {
-  if (!message.type || message.type !== "subscribe") {
-    return { valid: false, error: "Invalid message type" };
-  }
+const MAX_REQUEST_ID_LENGTH = 64;
 
-  if (!message.matchId || typeof message.matchId !== "number") {
-    return { valid: false, error: "Invalid or missing matchId" };
-  }
+/**
+ * Subscription topics
+ *   match:<id>    - One match
+ *   sport:<name>  - Every match of a sport
+ *   team:<name>   - Every match a team plays in, home or away
+ *   live          - Every live match
+ */
+const TOPIC_KINDS = Object.freeze({
+  MATCH: "match",
+  SPORT: "sport",
+  TEAM: "team",
+  LIVE: "live",
+});
 
-  return { valid: true };
-};
+/**
+ * Codes of the error frames sent for messages that cannot be handled
+ * Field-level failures inside validation_failed use the codes in
+ * validation/schema.js
+ */
+const MESSAGE_ERRORS = Object.freeze({
+  MESSAGE_TOO_LARGE: "message_too_large",
+  INVALID_JSON: "invalid_json",
+  INVALID_FRAME: "invalid_frame",
+  UNKNOWN_TYPE: "unknown_type",
+  VALIDATION_FAILED: "validation_failed",
+});
 
 /**
- * Validate unsubscribe message
- * Expected format: { type: 'unsubscribe', matchId: number }
+ * Build the topic name for a sport or team
+ * Names are compared case-insensitively, so they are stored lowercased
+ * @param {string} kind - TOPIC_KINDS.SPORT or TOPIC_KINDS.TEAM
+ * @param {string} name - Sport or team name
+ * @returns {string} - Topic, e.g. "team:arsenal"
  */
-const validateUnsubscribeMessage = (message) => {
-  if (!message.type || message.type !== "unsubscribe") {
-    return { valid: false, error: "Invalid message type" };
+const nameTopic = (kind, name) => `${kind}:${name.trim().toLowerCase()}`;
+
+/**
+ * Parse and normalize a subscription topic
+ * @param {*} topic - Topic from the client, e.g. "sport:Football"
+ * @returns {Object} - { valid: true, topic, kind, value } with the
+ *   normalized topic, or { valid: false, code, error } where code is one of
+ *   validation/schema.js ERROR_CODES and error completes "topic ..."
+ */
+const parseTopic = (topic) => {
+  if (typeof topic !== "string") {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_TYPE,
+      error: "must be a string",
+    };
   }
 
-  if (!message.matchId || typeof message.matchId !== "number") {
-    return { valid: false, error: "Invalid or missing matchId" };
+  if (topic.toLowerCase() === TOPIC_KINDS.LIVE) {
+    return {
+      valid: true,
+      topic: TOPIC_KINDS.LIVE,
+      kind: TOPIC_KINDS.LIVE,
+      value: null,
+    };
   }
 
-  return { valid: true };
-};
+  const separator = topic.indexOf(":");
+  const kind = topic.slice(0, separator).toLowerCase();
+  const value = topic.slice(separator + 1).trim();
 
-/**
- * Validate ping/pong message for heartbeat
- * Expected format: { type: 'ping' } or { type: 'pong' }
- */
-const validateHeartbeatMessage = (message) => {
-  if (!message.type || (message.type !== "ping" && message.type !== "pong")) {
-    return { valid: false, error: "Invalid heartbeat message" };
+  if (separator === -1 || !Object.values(TOPIC_KINDS).includes(kind)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_FORMAT,
+      error: "must be match:<id>, sport:<name>, team:<name> or live",
+    };
   }
 
-  return { valid: true };
-};
+  if (kind === TOPIC_KINDS.MATCH) {
+    if (
+      !/^(0|[1-9]\d*)$/.test(value) ||
+      !Number.isSafeInteger(Number(value))
+    ) {
+      return {
+        valid: false,
+        code: ERROR_CODES.INVALID_FORMAT,
+        error: "must have a non-negative integer match id",
+      };
+    }
+    return { valid: true, topic: `match:${value}`, kind, value: Number(value) };
+  }
 
-/**
- * Main message validator
- * Routes to specific validators based on message type
- * @param {string} rawMessage - Raw WebSocket message
- * @returns {Object} - Validation result with parsed message
- */
-const validateMessage = (rawMessage) => {
-  // Check message size (prevent abuse)
-  if (rawMessage.length > 10000) {
+  if (kind === TOPIC_KINDS.LIVE) {
     return {
       valid: false,
-      error: "Message too large",
+      code: ERROR_CODES.INVALID_FORMAT,
+      error: "live takes no name",
     };
   }
 
-  let message;
-  try {
-    message = JSON.parse(rawMessage);
-  } catch (e) {
+  if (value.length === 0 || value.length > MAX_TOPIC_NAME_LENGTH) {
     return {
       valid: false,
-      error: "Invalid JSON format",
+      code: value.length === 0 ? ERROR_CODES.TOO_SHORT : ERROR_CODES.TOO_LONG,
+      error: `must have a ${kind} name of 1 to ${MAX_TOPIC_NAME_LENGTH} characters`,
     };
   }
 
-  // Route to appropriate validator based on type
-  switch (message.type) {
-    case "subscribe":
-      return { ...validateSubscribeMessage(message), message };
+  const name = checkText(value);
+  if (!name.valid) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_CHARACTERS,
+      error: `name ${name.message}`,
+    };
+  }
+  return {
+    valid: true,
+    topic: nameTopic(kind, name.value),
+    kind,
+    value: name.value.toLowerCase(),
+  };
+};
 
-    case "unsubscribe":
-      return { ...validateUnsubscribeMessage(message), message };
+/**
+ * Request id a client may attach to any message; replies and errors for
+ * that message echo it
+ */
+const requestId = custom((value, ctx) => {
+  if (
+    typeof value === "string"
+      ? value.length === 0 ||
+        value.length > MAX_REQUEST_ID_LENGTH ||
+        !checkText(value).valid
+      : !Number.isSafeInteger(value)
+  ) {
+    return ctx.fail(
+      ERROR_CODES.INVALID_VALUE,
+      `must be an integer or a string of 1 to ${MAX_REQUEST_ID_LENGTH} characters`,
+    );
+  }
+  return value;
+});
 
-    case "ping":
-    case "pong":
-      return { ...validateHeartbeatMessage(message), message };
+/**
+ * Topic field, normalized by parseTopic
+ */
+const topic = custom((value, ctx) => {
+  const parsed = parseTopic(value);
+  return parsed.valid ? parsed.topic : ctx.fail(parsed.code, parsed.error);
+});
 
-    default:
-      return {
-        valid: false,
-        error: `Unknown message type: ${message.type}`,
-      };
+/**
+ * Resolve the topic of a subscribe/unsubscribe message
+ * Accepts `topic`, or `matchId` as shorthand for match:<id>
+ * @param {Object} message - Message with its fields validated
+ * @param {Object} ctx - Validation context
+ * @returns {Object} - Message with `topic` set and `matchId` removed
+ */
+const resolveTopic = ({ matchId, ...message }, ctx) => {
+  if (message.topic !== undefined) {
+    return message;
   }
+  if (matchId === undefined) {
+    return ctx
+      .at("topic")
+      .fail(ERROR_CODES.REQUIRED, "is required (or give matchId)");
+  }
+  return { ...message, topic: `${TOPIC_KINDS.MATCH}:${matchId}` };
 };
 
 /**
- * Sanitize data before broadcasting to prevent XSS
- * @param {Object} data - Data to sanitize
- * @returns {Object} - Sanitized data
+ * { type: 'subscribe', topic: string, commentaryLimit?: number, lastSequence?: number }
+ * or { type: 'subscribe', matchId: number, ... }
+ * commentaryLimit and lastSequence only apply to match topics
+ */
+registerSchema(
+  "ws.subscribe",
+  object(
+    {
+      type: oneOf(["subscribe"]),
+      topic: optional(topic),
+      matchId: optional(integer({ min: 0 })),
+      commentaryLimit: optional(
+        integer({ min: 0, max: MAX_COMMENTARY_LIMIT }),
+      ),
+      lastSequence: optional(integer({ min: 0 })),
+      requestId: optional(requestId),
+    },
+    {
+      refine: (value, ctx) => {
+        const isMatchTopic =
+          value.topic === undefined ||
+          value.topic.startsWith(`${TOPIC_KINDS.MATCH}:`);
+        const field =
+          !isMatchTopic &&
+          ["commentaryLimit", "lastSequence"].find(
+            (name) => value[name] !== undefined,
+          );
+        if (field) {
+          return ctx
+            .at(field)
+            .fail(ERROR_CODES.FORBIDDEN, "only applies to match topics");
+        }
+        return resolveTopic(value, ctx);
+      },
+    },
+  ),
+);
+
+/**
+ * { type: 'unsubscribe', topic: string } or { type: 'unsubscribe', matchId: number }
+ */
+registerSchema(
+  "ws.unsubscribe",
+  object(
+    {
+      type: oneOf(["unsubscribe"]),
+      topic: optional(topic),
+      matchId: optional(integer({ min: 0 })),
+      requestId: optional(requestId),
+    },
+    { refine: resolveTopic },
+  ),
+);
+
+/**
+ * { type: 'configure', encoding: 'json' | 'msgpack' }
  */
-const sanitizeData = (data) => {
-  if (typeof data === "string") {
-    return data.replace(/[<>]/g, "");
+registerSchema(
+  "ws.configure",
+  object({
+    type: oneOf(["configure"]),
+    encoding: oneOf(Object.values(ENCODINGS)),
+    requestId: optional(requestId),
+  }),
+);
+
+/**
+ * { type: 'ping' } or { type: 'pong' } for heartbeat
+ */
+["ping", "pong"].forEach((type) =>
+  registerSchema(
+    `ws.${type}`,
+    object({ type: oneOf([type]), requestId: optional(requestId) }),
+  ),
+);
+
+/**
+ * Maximum size of a client message in bytes
+ */
+const MAX_MESSAGE_SIZE = 10000;
+
+/**
+ * Read the request id of a message before it is validated, so even an
+ * error about the message itself can be matched to it
+ * @param {*} message - Decoded message
+ * @returns {string|number|undefined} - Request id, if one was given and valid
+ */
+const extractRequestId = (message) => {
+  if (typeof message !== "object" || message === null) {
+    return undefined;
   }
+  const result = validateSchema(requestId, message.requestId);
+  return result.valid ? result.value : undefined;
+};
+
+/**
+ * Main message validator
+ * Looks up the schema registered as "ws.<type>"
+ * @param {string|*} rawMessage - Raw JSON text, or a value already decoded
+ *   from a MessagePack frame
+ * @returns {Object} - { valid: true, message } with the normalized message,
+ *   or { valid: false, code, error, details?, requestId? } where code is
+ *   one of MESSAGE_ERRORS and details lists failing fields
+ *   ({ path, code, message })
+ */
+const validateMessage = (rawMessage) => {
+  let message = rawMessage;
+
+  if (typeof rawMessage === "string") {
+    // Check message size (prevent abuse)
+    if (rawMessage.length > MAX_MESSAGE_SIZE) {
+      return {
+        valid: false,
+        code: MESSAGE_ERRORS.MESSAGE_TOO_LARGE,
+        error: "Message too large",
+      };
+    }
 
-  if (Array.isArray(data)) {
-    return data.map((item) => sanitizeData(item));
+    try {
+      message = JSON.parse(rawMessage);
+    } catch (e) {
+      return {
+        valid: false,
+        code: MESSAGE_ERRORS.INVALID_JSON,
+        error: "Invalid JSON format",
+      };
+    }
   }
 
-  if (data instanceof Date) {
-    return data.toISOString();
+  const id = extractRequestId(message);
+  if (
+    typeof message !== "object" ||
+    message === null ||
+    Array.isArray(message)
+  ) {
+    return {
+      valid: false,
+      code: MESSAGE_ERRORS.VALIDATION_FAILED,
+      error: "Message must be an object",
+    };
   }
 
-  if (typeof data === "object" && data !== null) {
-    const sanitized = {};
-    for (const key in data) {
-      sanitized[key] = sanitizeData(data[key]);
-    }
-    return sanitized;
+  if (typeof message.type !== "string" || !hasSchema(`ws.${message.type}`)) {
+    return {
+      valid: false,
+      code: MESSAGE_ERRORS.UNKNOWN_TYPE,
+      error: `Unknown message type: ${message.type}`,
+      requestId: id,
+    };
   }
 
-  return data;
+  const result = validate(`ws.${message.type}`, message);
+  if (!result.valid) {
+    return {
+      valid: false,
+      code: MESSAGE_ERRORS.VALIDATION_FAILED,
+      error: result.error,
+      details: result.errors,
+      requestId: id,
+    };
+  }
+  return { valid: true, message: result.value };
 };
 
-export { validateMessage, sanitizeData, isValidJSON };
+export {
+  validateMessage,
+  parseTopic,
+  nameTopic,
+  TOPIC_KINDS,
+  MESSAGE_ERRORS,
+  MAX_MESSAGE_SIZE,
+};
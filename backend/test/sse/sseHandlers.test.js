@@ -0,0 +1,89 @@
+// test/sse/sseHandlers.test.js
+// Server-sent event streams
+
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Match from "../../src/models/match.js";
+import { openMatchStream, closeAllStreams } from "../../src/sse/sseHandlers.js";
+
+/**
+ * Minimal stand-in for an Express response that records what is written
+ */
+const createResponse = () => ({
+  body: "",
+  writableLength: 0,
+  writableEnded: false,
+  destroyed: false,
+  status() {
+    return this;
+  },
+  set() {
+    return this;
+  },
+  flushHeaders() {},
+  write(chunk) {
+    this.body += chunk;
+  },
+  on() {},
+  end() {
+    this.writableEnded = true;
+  },
+  destroy() {
+    this.destroyed = true;
+  },
+});
+
+/**
+ * Parse the events written to a stream
+ * @param {string} body - Raw stream
+ * @returns {Array<Object>} - [{ id, data }]
+ */
+const parseEvents = (body) =>
+  body
+    .split("\n\n")
+    .filter((frame) => frame.includes("data: "))
+    .map((frame) => ({
+      id: frame.match(/^id: (.*)$/m)?.[1],
+      data: JSON.parse(frame.match(/^data: (.*)$/m)[1]),
+    }));
+
+const req = { user: { id: "user-1", role: "viewer" } };
+
+describe("openMatchStream", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    closeAllStreams();
+  });
+
+  it("uses the newest commentary sent as the snapshot cursor", async () => {
+    // Commentary 8 was added between loading the match and its commentary
+    mock.method(Match, "getSnapshot", async () => ({
+      match: { id: 1, last_commentary_sequence: 7 },
+      commentary: [
+        { id: 17, sequence: 8, minute: 10 },
+        { id: 16, sequence: 7, minute: 12 },
+      ],
+      resumed: false,
+    }));
+    const res = createResponse();
+
+    await openMatchStream(req, res, 1, { commentaryLimit: 20 });
+
+    const [snapshot] = parseEvents(res.body);
+    assert.equal(snapshot.data.type, "snapshot");
+    assert.equal(snapshot.id, "8");
+  });
+
+  it("falls back to the match counter without newer commentary", async () => {
+    mock.method(Match, "getSnapshot", async () => ({
+      match: { id: 1, last_commentary_sequence: 7 },
+      commentary: [],
+      resumed: false,
+    }));
+    const res = createResponse();
+
+    await openMatchStream(req, res, 1, { commentaryLimit: 0 });
+
+    assert.equal(parseEvents(res.body)[0].id, "7");
+  });
+});
@@ -0,0 +1,123 @@
+// test/validation/matchSchemas.test.js
+// Match and commentary request body schemas
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { COMMENTARY_LIMITS } from "../../src/validation/matchSchemas.js";
+import { validate, validateOrThrow } from "../../src/validation/registry.js";
+
+/**
+ * Message reported for a control or direction-override character
+ * @param {string} codePoint - e.g. "U+000A"
+ * @returns {string} - Error message
+ */
+const expectedUnsafeMessage = (codePoint) =>
+  `must not contain control or direction-override characters (found ${codePoint})`;
+
+/**
+ * Validate a commentary body and return its single failure
+ * @param {Object} body - Request body
+ * @returns {Object} - { path, code, message }
+ */
+const failure = (body) => {
+  const result = validate("commentary.create", body);
+  assert.equal(result.valid, false);
+  assert.equal(result.errors.length, 1, result.error);
+  return result.errors[0];
+};
+
+describe("commentary.create", () => {
+  it("stores text faithfully", () => {
+    const result = validate("commentary.create", {
+      message: "  Won by 3 runs (target < 150) <b>  ",
+    });
+    assert.equal(result.valid, true);
+    assert.equal(result.value.message, "Won by 3 runs (target < 150) <b>");
+  });
+
+  it("accepts a message at the length limit", () => {
+    const message = "a".repeat(COMMENTARY_LIMITS.message);
+    assert.equal(validate("commentary.create", { message }).valid, true);
+  });
+
+  it("rejects an oversized message", () => {
+    const message = "a".repeat(COMMENTARY_LIMITS.message + 1);
+    assert.deepEqual(failure({ message }), {
+      path: "message",
+      code: "too_long",
+      message: `must be at most ${COMMENTARY_LIMITS.message} characters`,
+    });
+  });
+
+  it("rejects oversized tags and too many of them", () => {
+    assert.equal(
+      failure({ message: "x", tags: ["t".repeat(COMMENTARY_LIMITS.tag + 1)] })
+        .path,
+      "tags.0",
+    );
+    const tags = Array.from(
+      { length: COMMENTARY_LIMITS.tags + 1 },
+      (_, i) => `tag${i}`,
+    );
+    assert.equal(failure({ message: "x", tags }).path, "tags");
+  });
+
+  it("accepts a multiline message and normalizes line endings", () => {
+    const result = validate("commentary.create", {
+      message: "Half time\r\n\tHome 1 - 0 Away",
+    });
+    assert.equal(result.value.message, "Half time\n\tHome 1 - 0 Away");
+  });
+
+  it("rejects line breaks in single-line fields", () => {
+    assert.deepEqual(failure({ message: "x", actor: "Kane\nSmith" }), {
+      path: "actor",
+      code: "invalid_characters",
+      message: expectedUnsafeMessage("U+000A"),
+    });
+  });
+
+  it("rejects control characters and direction overrides", () => {
+    assert.equal(
+      failure({ message: "goal\u0007" }).message,
+      expectedUnsafeMessage("U+0007"),
+    );
+    assert.equal(
+      failure({ message: "goal\u202E" }).message,
+      expectedUnsafeMessage("U+202E"),
+    );
+    assert.equal(failure({ message: "x", team: "\u2066home" }).path, "team");
+  });
+
+  it("rejects lone surrogates", () => {
+    assert.deepEqual(failure({ message: "x", tags: ["ok", "\uD800"] }), {
+      path: "tags.1",
+      code: "invalid_characters",
+      message: "must be valid Unicode text",
+    });
+  });
+
+  it("rejects a client-supplied sequence", () => {
+    assert.deepEqual(failure({ message: "x", sequence: 7 }), {
+      path: "sequence",
+      code: "forbidden",
+      message: "is assigned by the server",
+    });
+  });
+
+  it("throws a 400 ValidationError listing the failures", () => {
+    assert.throws(
+      () => validateOrThrow("commentary.create", { sequence: 1 }),
+      (error) => {
+        assert.equal(error.name, "ValidationError");
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.code, "validation_failed");
+        assert.deepEqual(
+          error.details.map(({ path }) => path).sort(),
+          ["message", "sequence"],
+        );
+        return true;
+      },
+    );
+  });
+});
@@ -0,0 +1,74 @@
+// test/validation/text.test.js
+// Character rules for user-supplied text
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkText } from "../../src/validation/text.js";
+
+describe("checkText", () => {
+  it("keeps markup characters as given", () => {
+    assert.deepEqual(checkText("won by 3 runs (target < 150) & more"), {
+      valid: true,
+      value: "won by 3 runs (target < 150) & more",
+    });
+  });
+
+  it("normalizes to NFC", () => {
+    assert.equal(checkText("Pe\u0301rez").value, "P\u00E9rez");
+  });
+
+  for (const [name, char] of [
+    ["NUL", "\u0000"],
+    ["escape", "\u001B"],
+    ["DEL", "\u007F"],
+    ["C1 next line", "\u0085"],
+    ["right-to-left override", "\u202E"],
+    ["first strong isolate", "\u2068"],
+  ]) {
+    it(`rejects ${name}`, () => {
+      const result = checkText(`a${char}b`, { multiline: true });
+      assert.equal(result.valid, false);
+      assert.match(result.message, /control or direction-override/);
+    });
+  }
+
+  it("names the offending code point", () => {
+    assert.match(checkText("x\u202Ey").message, /U\+202E/);
+  });
+
+  for (const [name, text] of [
+    ["a lone high surrogate", "goal \uD83D"],
+    ["a lone low surrogate", "\uDE00 goal"],
+  ]) {
+    it(`rejects ${name}`, () => {
+      assert.deepEqual(checkText(text), {
+        valid: false,
+        message: "must be valid Unicode text",
+      });
+    });
+  }
+
+  it("accepts surrogate pairs", () => {
+    assert.equal(checkText("goal \u26BD\u{1F600}").valid, true);
+  });
+
+  it("rejects tabs and line breaks in single-line text", () => {
+    for (const text of ["a\nb", "a\rb", "a\tb"]) {
+      assert.equal(checkText(text).valid, false, JSON.stringify(text));
+    }
+  });
+
+  it("accepts tabs and line breaks in multiline text", () => {
+    assert.deepEqual(checkText("a\n\tb", { multiline: true }), {
+      valid: true,
+      value: "a\n\tb",
+    });
+  });
+
+  it("normalizes CRLF and CR to LF in multiline text", () => {
+    assert.equal(
+      checkText("one\r\ntwo\rthree", { multiline: true }).value,
+      "one\ntwo\nthree",
+    );
+  });
+});
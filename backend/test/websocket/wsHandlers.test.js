@@ -0,0 +1,160 @@
+// test/websocket/wsHandlers.test.js
+// Replies and error frames sent for client messages
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import {
+  handleConnection,
+  broadcastToMatch,
+  flushBroadcasts,
+} from "../../src/websocket/wsHandlers.js";
+import Match from "../../src/models/match.js";
+
+/**
+ * Minimal stand-in for a ws WebSocket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.bufferedAmount = 0;
+    this.protocol = "";
+    this.sent = [];
+  }
+
+  send(frame, callback) {
+    this.sent.push(JSON.parse(frame));
+    callback?.();
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+}
+
+describe("WebSocket error frames", () => {
+  let ws;
+
+  beforeEach(() => {
+    ws = new FakeSocket();
+    handleConnection(ws, {
+      url: "/ws",
+      headers: {},
+      socket: { remoteAddress: "127.0.0.1" },
+      user: { id: "user-1", role: "viewer" },
+    });
+    ws.sent = [];
+  });
+
+  afterEach(() => {
+    ws.emit("close");
+  });
+
+  /**
+   * Send a text frame and return the reply
+   * @param {Object|string} message - Message, or raw text
+   * @returns {Object} - Reply frame
+   */
+  const exchange = (message) => {
+    const text =
+      typeof message === "string" ? message : JSON.stringify(message);
+    ws.emit("message", Buffer.from(text), false);
+    return ws.sent.pop();
+  };
+
+  it("echoes the requestId on validation errors", () => {
+    const reply = exchange({
+      type: "subscribe",
+      topic: "bogus",
+      requestId: "r1",
+    });
+    assert.equal(reply.type, "error");
+    assert.equal(reply.code, "validation_failed");
+    assert.equal(reply.requestId, "r1");
+    assert.equal(reply.details[0].path, "topic");
+  });
+
+  it("echoes the requestId on unknown message types", () => {
+    const reply = exchange({ type: "launch", requestId: 42 });
+    assert.equal(reply.code, "unknown_type");
+    assert.equal(reply.requestId, 42);
+  });
+
+  it("echoes the requestId when a forbidden field is sent", () => {
+    const reply = exchange({
+      type: "subscribe",
+      topic: "live",
+      lastSequence: 3,
+      requestId: "r2",
+    });
+    assert.equal(reply.requestId, "r2");
+    assert.equal(reply.details[0].code, "forbidden");
+  });
+
+  it("sends no requestId when the message cannot be parsed", () => {
+    const reply = exchange("{\"requestId\": \"r3\"");
+    assert.equal(reply.code, "invalid_json");
+    assert.equal(reply.requestId, undefined);
+  });
+
+  it("echoes the requestId on replies", () => {
+    const reply = exchange({ type: "ping", requestId: "r4" });
+    assert.equal(reply.type, "pong");
+    assert.equal(reply.requestId, "r4");
+  });
+});
+
+describe("WebSocket subscribe during a broadcast window", () => {
+  const match = { id: 9001, sport: "football", status: "live" };
+
+  /**
+   * Build a commentary event as the broadcaster sends it
+   * @param {number} sequence - Commentary sequence
+   * @returns {Object} - Commentary event
+   */
+  const commentary = (sequence) => ({
+    type: "commentary",
+    matchId: match.id,
+    data: { id: sequence, match_id: match.id, sequence },
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("does not resend commentary the snapshot already holds", async () => {
+    // The first event opens the window; the second waits for its flush
+    broadcastToMatch(match, commentary(7));
+    broadcastToMatch(match, commentary(8));
+
+    mock.method(Match, "getSnapshot", async () => ({
+      match: { ...match, last_commentary_sequence: 8 },
+      commentary: [commentary(8).data, commentary(7).data],
+      resumed: false,
+    }));
+    const ws = new FakeSocket();
+    handleConnection(ws, {
+      url: "/ws",
+      headers: {},
+      socket: { remoteAddress: "127.0.0.1" },
+      user: { id: "user-1", role: "viewer" },
+    });
+    ws.emit(
+      "message",
+      Buffer.from(JSON.stringify({ type: "subscribe", topic: "match:9001" })),
+      false,
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(ws.sent.at(-1).type, "snapshot");
+
+    broadcastToMatch(match, commentary(9));
+    flushBroadcasts();
+
+    const live = ws.sent
+      .filter((frame) => frame.type === "commentary")
+      .map((frame) => frame.data.sequence);
+    assert.deepEqual(live, [9]);
+    ws.emit("close");
+  });
+});
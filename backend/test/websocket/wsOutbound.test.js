@@ -0,0 +1,209 @@
+// test/websocket/wsOutbound.test.js
+// Per-client outbound queues and the slow-consumer policy
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OUTBOUND_LIMITS,
+  MESSAGE_KINDS,
+  createOutboundQueue,
+  describeBroadcast,
+  sendToClient,
+  checkSlowConsumer,
+} from "../../src/websocket/wsOutbound.js";
+import { createMessage } from "../../src/websocket/wsEncoding.js";
+
+/**
+ * Stand-in for a ws WebSocket whose buffer fills with every write
+ * Nothing more is sent until complete() finishes the oldest write
+ */
+class SlowSocket {
+  constructor() {
+    this.readyState = 1;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    this.callbacks = [];
+    this.closedWith = null;
+  }
+
+  send(frame, callback) {
+    this.sent.push(JSON.parse(frame));
+    this.callbacks.push(callback);
+    this.bufferedAmount = Infinity;
+  }
+
+  close(code, reason) {
+    this.readyState = 3;
+    this.closedWith = { code, reason };
+  }
+
+  /**
+   * Finish the oldest write, freeing the buffer
+   */
+  complete() {
+    this.bufferedAmount = 0;
+    this.callbacks.shift()();
+  }
+}
+
+const createClient = () => ({
+  id: "client-1",
+  encoding: "json",
+  outbound: createOutboundQueue(),
+});
+
+/**
+ * Send a broadcast the way wsHandlers does
+ * @param {StalledSocket} ws - Socket
+ * @param {Object} client - Client metadata
+ * @param {Object} data - Message object
+ */
+const broadcast = (ws, client, data) =>
+  sendToClient(ws, client, createMessage(data), describeBroadcast(data));
+
+/**
+ * Send a message that goes straight out and leaves the buffer full
+ * @param {SlowSocket} ws - Socket
+ * @param {Object} client - Client metadata
+ */
+const fillBuffer = (ws, client) =>
+  sendToClient(ws, client, createMessage({ type: "pong" }));
+
+/**
+ * Queue commentary for match 1 with the given sequences
+ * @param {SlowSocket} ws - Socket
+ * @param {Object} client - Client metadata
+ * @param {Array<number>} sequences - Commentary sequences
+ */
+const queueCommentary = (ws, client, sequences) =>
+  sequences.forEach((sequence) =>
+    broadcast(ws, client, commentary(1, sequence)),
+  );
+
+const commentary = (matchId, sequence) => ({
+  type: "commentary",
+  matchId,
+  data: { sequence },
+});
+
+const scoreUpdate = (matchId, home) => ({
+  type: "score_update",
+  matchId,
+  data: { home_score: home },
+});
+
+describe("outbound queue", () => {
+  const defaults = { ...OUTBOUND_LIMITS };
+  let ws;
+  let client;
+
+  beforeEach(() => {
+    Object.assign(OUTBOUND_LIMITS, {
+      maxQueuedMessages: 3,
+      slowConsumerTimeoutMs: 1000,
+    });
+    ws = new SlowSocket();
+    client = createClient();
+  });
+
+  afterEach(() => {
+    Object.assign(OUTBOUND_LIMITS, defaults);
+  });
+
+  it("sends straight away while the socket keeps up", () => {
+    broadcast(ws, client, commentary(1, 1));
+    assert.equal(ws.sent.length, 1);
+    assert.equal(client.outbound.queue.length, 0);
+  });
+
+  it("queues while the socket buffer is full and drains in order", () => {
+    queueCommentary(ws, client, [1, 2, 3]);
+    assert.equal(ws.sent.length, 1);
+    assert.equal(client.outbound.queue.length, 2);
+
+    ws.complete();
+    ws.complete();
+    assert.deepEqual(
+      ws.sent.map((message) => message.data.sequence),
+      [1, 2, 3],
+    );
+    assert.equal(client.outbound.queue.length, 0);
+  });
+
+  it("keeps only the latest queued score update per match", () => {
+    fillBuffer(ws, client);
+    broadcast(ws, client, scoreUpdate(1, 1));
+    broadcast(ws, client, scoreUpdate(2, 0));
+    broadcast(ws, client, scoreUpdate(1, 2));
+
+    assert.deepEqual(
+      client.outbound.queue.map(({ key }) => key),
+      ["score_update:2", "score_update:1"],
+    );
+    assert.equal(client.outbound.stats.coalesced, 1);
+  });
+
+  it("sheds score updates first, then the oldest events with a resync", () => {
+    fillBuffer(ws, client);
+    broadcast(ws, client, commentary(1, 1));
+    broadcast(ws, client, scoreUpdate(2, 1));
+    queueCommentary(ws, client, [2, 3]);
+
+    assert.equal(client.outbound.stats.droppedState, 1);
+    assert.deepEqual(
+      client.outbound.queue.map(({ kind }) => kind),
+      [MESSAGE_KINDS.EVENT, MESSAGE_KINDS.EVENT, MESSAGE_KINDS.EVENT],
+    );
+
+    // Room for the resync notice is made by dropping another event
+    queueCommentary(ws, client, [4]);
+    assert.equal(client.outbound.stats.droppedEvents, 2);
+    assert.deepEqual(
+      client.outbound.queue.map(({ type }) => type),
+      ["commentary", "commentary", "resync_required"],
+    );
+
+    // One notice per match until it is sent
+    queueCommentary(ws, client, [5]);
+    assert.equal(client.outbound.stats.resyncs, 1);
+  });
+
+  it("disconnects a client whose queue stays full past the timeout", () => {
+    fillBuffer(ws, client);
+    queueCommentary(ws, client, [1, 2, 3, 4]);
+    assert.notEqual(client.outbound.overLimitSince, null);
+    assert.equal(ws.closedWith, null);
+
+    client.outbound.overLimitSince -= 1001;
+    queueCommentary(ws, client, [5]);
+    assert.deepEqual(ws.closedWith, { code: 1008, reason: "Client too slow" });
+    assert.equal(client.outbound.queue.length, 0);
+  });
+
+  it("disconnects a stuck client when no new messages arrive", () => {
+    fillBuffer(ws, client);
+    queueCommentary(ws, client, [1, 2, 3, 4]);
+    const { overLimitSince } = client.outbound;
+
+    assert.equal(checkSlowConsumer(ws, client, overLimitSince + 1000), false);
+    assert.equal(ws.closedWith, null);
+    assert.equal(checkSlowConsumer(ws, client, overLimitSince + 1001), true);
+    assert.equal(ws.closedWith.code, 1008);
+  });
+
+  it("restarts the grace period once the queue is within its limit", () => {
+    fillBuffer(ws, client);
+    queueCommentary(ws, client, [1, 2, 3, 4]);
+    client.outbound.overLimitSince -= 5000;
+
+    // One message goes out, leaving a backlog within the limit
+    ws.complete();
+    assert.ok(client.outbound.queue.length > 0);
+    assert.equal(client.outbound.overLimitSince, null);
+
+    // The next overflow starts a new grace period
+    queueCommentary(ws, client, [5, 6]);
+    assert.notEqual(client.outbound.overLimitSince, null);
+    assert.equal(ws.closedWith, null);
+  });
+});
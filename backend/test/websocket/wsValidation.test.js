@@ -0,0 +1,90 @@
+// test/websocket/wsValidation.test.js
+// WebSocket message validation
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateMessage,
+  parseTopic,
+  MESSAGE_ERRORS,
+  MAX_MESSAGE_SIZE,
+} from "../../src/websocket/wsValidation.js";
+
+describe("validateMessage", () => {
+  it("accepts matchId 0", () => {
+    assert.deepEqual(
+      validateMessage(JSON.stringify({ type: "subscribe", matchId: 0 })),
+      { valid: true, message: { type: "subscribe", topic: "match:0" } },
+    );
+  });
+
+  it("accepts the match:0 topic", () => {
+    assert.equal(
+      validateMessage({ type: "unsubscribe", topic: "match:0" }).message.topic,
+      "match:0",
+    );
+    assert.deepEqual(parseTopic("match:0"), {
+      valid: true,
+      topic: "match:0",
+      kind: "match",
+      value: 0,
+    });
+  });
+
+  it("rejects negative and non-integer match ids", () => {
+    for (const matchId of [-1, 1.5, "1"]) {
+      const result = validateMessage({ type: "subscribe", matchId });
+      assert.equal(result.code, MESSAGE_ERRORS.VALIDATION_FAILED);
+      assert.equal(result.details[0].path, "matchId");
+    }
+  });
+
+  it("rejects oversized messages before parsing them", () => {
+    const raw = JSON.stringify({
+      type: "ping",
+      requestId: 1,
+      padding: "x".repeat(MAX_MESSAGE_SIZE),
+    });
+    assert.deepEqual(validateMessage(raw), {
+      valid: false,
+      code: MESSAGE_ERRORS.MESSAGE_TOO_LARGE,
+      error: "Message too large",
+    });
+  });
+
+  it("rejects control characters and lone surrogates in topic names", () => {
+    for (const topic of [
+      "team:Ars\u0000enal",
+      "team:Ars\u202Eenal",
+      "sport:\uD800",
+    ]) {
+      const result = validateMessage({ type: "subscribe", topic });
+      assert.equal(result.details[0].code, "invalid_characters", topic);
+    }
+  });
+
+  it("rejects line breaks in request ids", () => {
+    const result = validateMessage({ type: "ping", requestId: "a\nb" });
+    assert.equal(result.details[0].path, "requestId");
+    assert.equal(result.requestId, undefined);
+  });
+
+  it("returns the request id with validation failures", () => {
+    assert.equal(
+      validateMessage({ type: "subscribe", topic: "nope", requestId: "r1" })
+        .requestId,
+      "r1",
+    );
+    assert.equal(
+      validateMessage({ type: "launch", requestId: 7 }).requestId,
+      7,
+    );
+  });
+
+  it("reports invalid JSON", () => {
+    assert.equal(
+      validateMessage("{not json").code,
+      MESSAGE_ERRORS.INVALID_JSON,
+    );
+  });
+});